@@ -7,7 +7,10 @@ import {
   Tooltip,
   Legend,
   BarElement,
-  BarController
+  BarController,
+  LineController,
+  LineElement,
+  PointElement
 } from "chart.js";
 import "chartjs-adapter-date-fns";
 import {
@@ -16,6 +19,11 @@ import {
   OhlcController,
   OhlcElement
 } from "chartjs-chart-financial";
+import { chartMarkersPlugin } from "./chartMarkers";
+import { applyCvdDeltas, createCvdPane, cvdPlugin, toCvdSeries } from "./cvd";
+import { depthHeatmapPlugin } from "./depthHeatmap";
+import { createIndicators, indicatorsPlugin } from "./indicators";
+import { addTradeToProfile, toVolumeProfile, volumeProfilePlugin } from "./volumeProfile";
 
 Chart.register(
   LinearScale,
@@ -24,6 +32,9 @@ Chart.register(
   Legend,
   BarElement,
   BarController,
+  LineController,
+  LineElement,
+  PointElement,
   CandlestickController,
   CandlestickElement,
   OhlcController,
@@ -31,16 +42,76 @@ Chart.register(
 );
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:3000";
+const QUERY_PARAMS = new URLSearchParams(window.location.search);
+const QUOTE_ASSET = "USDT";
+const SYMBOL = (
+  QUERY_PARAMS.get("symbol") ||
+  import.meta.env.VITE_SYMBOL ||
+  "BTCUSDT"
+).toUpperCase();
+const BASE_ASSET = SYMBOL.endsWith(QUOTE_ASSET) ? SYMBOL.slice(0, -QUOTE_ASSET.length) : SYMBOL;
+const SYMBOL_QUERY = `symbol=${encodeURIComponent(SYMBOL)}`;
 const MAX_SECOND_CANDLES = 240;
 const MAX_MINUTE_CANDLES = 320;
+const MAX_HEATMAP_SAMPLES = 480;
+const MAX_CHART_MARKERS = 300;
+const MIN_TRADE_MARKER_NOTIONAL = 100_000;
 const SECOND_CHART_UPDATE_MS = 10_000;
-const MIN_BUYER_BTC = 0.1;
+// Trades, heatmap samples and liquidations redraw a chart at most this often.
+const CHART_RENDER_THROTTLE_MS = 250;
+const SECOND_CHART_INTERVAL = "10s";
+const CHART_INTERVALS = {
+  "1m": { ms: 60_000, unit: "minute" },
+  "5m": { ms: 5 * 60_000, unit: "minute" },
+  "15m": { ms: 15 * 60_000, unit: "minute" },
+  "1h": { ms: 60 * 60_000, unit: "hour" },
+  "4h": { ms: 4 * 60 * 60_000, unit: "hour" },
+  "1d": { ms: 24 * 60 * 60_000, unit: "day" }
+};
+// Indicator lists per chart, e.g. `?minuteIndicators=ema:20,ema:50,rsi&secondIndicators=vwap`.
+const SECOND_INDICATORS =
+  QUERY_PARAMS.get("secondIndicators") ?? import.meta.env.VITE_SECOND_INDICATORS ?? "vwap";
+const MINUTE_INDICATORS =
+  QUERY_PARAMS.get("minuteIndicators") ?? import.meta.env.VITE_MINUTE_INDICATORS ?? "ema:20,ema:50";
+// `?cvd=off` drops the CVD pane from both charts.
+const SHOW_CVD = (QUERY_PARAMS.get("cvd") ?? import.meta.env.VITE_CVD ?? "on") !== "off";
+// `?volumeProfile=off` hides the volume profile of the minute chart.
+const SHOW_VOLUME_PROFILE =
+  (QUERY_PARAMS.get("volumeProfile") ?? import.meta.env.VITE_VOLUME_PROFILE ?? "on") !== "off";
+const INITIAL_CHART_INTERVAL = CHART_INTERVALS[QUERY_PARAMS.get("interval")]
+  ? QUERY_PARAMS.get("interval")
+  : "15m";
+// Feed thresholds and sound levels are in USDT so they hold for every pair.
+const MIN_BUYER_NOTIONAL = 5_000;
 const MAX_TOP_BUYERS_FEED = 20;
-const ALERT_BTC_LEVELS = {
-  low: 0.1,
-  mid: 0.5,
-  high: 1.0
+const BUYER_ALERT_NOTIONAL_LEVELS = {
+  low: 5_000,
+  mid: 30_000,
+  high: 60_000
+};
+const MIN_SELLER_NOTIONAL = 5_000;
+const MAX_TOP_SELLERS_FEED = 20;
+const SELLER_ALERT_NOTIONAL_LEVELS = {
+  low: 15_000,
+  mid: 60_000,
+  high: 150_000
 };
+// Synthesized fallbacks for when no audio clip is configured.
+const BUYER_TONE = { type: "triangle", from: 920, to: 1420, rampSec: 0.09, durationSec: 0.2 };
+const SELLER_TONE = { type: "triangle", from: 620, to: 380, rampSec: 0.16, durationSec: 0.24 };
+const WHALE_TONE = { type: "sine", from: 180, to: 120, rampSec: 0.3, durationSec: 0.42 };
+const MAX_TRACKED_WALL_EVENTS = 200;
+const MAX_WHALE_TRADES = 30;
+// In USDT, like the server's whale threshold.
+const WHALE_ALERT_NOTIONAL_LEVELS = {
+  low: 100_000,
+  mid: 300_000,
+  high: 700_000
+};
+const MAX_ALERT_TOASTS = 4;
+// Futures metrics refresh every 15s; values older than two refreshes are dimmed.
+const FUTURES_STALE_MS = 30_000;
+const ALERT_TOAST_MS = 8_000;
 
 function formatPrice(value) {
   if (value === null || value === undefined) {
@@ -72,29 +143,134 @@ function formatBtc(value) {
   });
 }
 
-function buyerKey(row) {
+function formatAge(ms) {
+  if (!Number.isFinite(ms) || ms < 0) {
+    return "--";
+  }
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  return `${Math.floor(minutes / 60)}h${minutes % 60}m`;
+}
+
+function formatCountdown(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) {
+    return "--";
+  }
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}h ${String(minutes).padStart(2, "0")}m ${String(seconds).padStart(2, "0")}s`;
+}
+
+function formatSignedPercent(value, digits = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return "--";
+  }
+  return `${value >= 0 ? "+" : ""}${value.toFixed(digits)}%`;
+}
+
+function feedRowKey(row) {
   return `${row.exchangeId}|${row.price}|${row.size}`;
 }
 
-function getVolumeByBtcSize(size) {
-  if (size < ALERT_BTC_LEVELS.low) {
+/** Rows shown in a top buyers/sellers feed plus the rows waiting to be shown. */
+function createFeedState() {
+  return { rows: [], queue: [], drainTimer: null, lastAlertAt: 0 };
+}
+
+// Same id the server uses for a tracked wall.
+function wallId(row, side) {
+  return `${row.exchangeId}|${side}|${row.price}`;
+}
+
+function WallBadge({ row, side, wallEvents }) {
+  const event = wallEvents[wallId(row, side)];
+  if (event?.status === "pulled") {
+    return (
+      <span className={`wall-badge ${event.spoof ? "spoof" : "pulled"}`} title="Pulled before price reached it">
+        {event.spoof ? "SPOOF" : "PULLED"}
+      </span>
+    );
+  }
+  if (event?.status === "filled") {
+    return <span className="wall-badge filled">FILLED</span>;
+  }
+  return <span className="wall-age">{row.firstSeen ? formatAge(Date.now() - row.firstSeen) : "--"}</span>;
+}
+
+/** Source rows of a `sourceStatus` payload keyed by id. */
+function toSourceMap(payload) {
+  const rows = Array.isArray(payload?.sources) ? payload.sources : [];
+  return Object.fromEntries(rows.map((row) => [row.id, { ...row, checkedAt: payload.updatedAt }]));
+}
+
+function StaleBadge({ source }) {
+  if (!source?.stale) {
+    return null;
+  }
+  const age = source.lastSuccessAt ? formatAge(source.checkedAt - source.lastSuccessAt) : "never";
+  const title = [
+    `${source.label}: last update ${source.lastSuccessAt ? `${age} ago` : "never"}`,
+    source.lastError ? `${source.consecutiveFailures}× ${source.lastError}` : null
+  ]
+    .filter(Boolean)
+    .join("\n");
+  return (
+    <span className="stale-badge" title={title}>
+      STALE {source.lastSuccessAt ? age : ""}
+    </span>
+  );
+}
+
+function getAlertVolume(value, levels) {
+  if (value < levels.low) {
     return 0;
   }
 
-  if (size < ALERT_BTC_LEVELS.mid) {
-    const t = (size - ALERT_BTC_LEVELS.low) / (ALERT_BTC_LEVELS.mid - ALERT_BTC_LEVELS.low);
+  if (value < levels.mid) {
+    const t = (value - levels.low) / (levels.mid - levels.low);
     return 0.06 + t * 0.07; // 0.10 -> 0.13
   }
 
-  if (size < ALERT_BTC_LEVELS.high) {
-    const t = (size - ALERT_BTC_LEVELS.mid) / (ALERT_BTC_LEVELS.high - ALERT_BTC_LEVELS.mid);
+  if (value < levels.high) {
+    const t = (value - levels.mid) / (levels.high - levels.mid);
     return 0.14 + t * 0.18; // 0.14 -> 0.32
   }
 
-  const over = Math.min(1, (size - ALERT_BTC_LEVELS.high) / 3); // >=1 BTC louder, capped
+  const over = Math.min(1, (value - levels.high) / (levels.high * 3)); // >= high level louder, capped
   return 0.34 + over * 0.46; // up to 0.80
 }
 
+/**
+ * Wraps `render` so any number of `schedule()` calls within `intervalMs`
+ * end in a single redraw. `cancel()` drops a pending one.
+ */
+function createRenderThrottle(render, intervalMs) {
+  let timer = null;
+  return {
+    schedule() {
+      if (timer) {
+        return;
+      }
+      timer = setTimeout(() => {
+        timer = null;
+        render();
+      }, intervalMs);
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
 function bucketStart(ts, intervalMs) {
   return Math.floor(ts / intervalMs) * intervalMs;
 }
@@ -140,6 +316,23 @@ function upsertCandleFromKline(candles, kline, maxItems) {
   return next.slice(-maxItems);
 }
 
+function upsertVolumeFromKline(volumes, kline, maxItems) {
+  const point = {
+    x: Number(kline.startTime),
+    buy: Number(kline.buyVolume) || 0,
+    sell: Number(kline.sellVolume) || 0
+  };
+  const next = [...volumes];
+  const idx = next.findIndex((item) => item.x === point.x);
+  if (idx >= 0) {
+    next[idx] = point;
+  } else {
+    next.push(point);
+  }
+  next.sort((a, b) => a.x - b.x);
+  return next.slice(-maxItems);
+}
+
 function upsertVolume(volumes, trade, intervalMs, maxItems) {
   const x = bucketStart(trade.ts, intervalMs);
   const next = [...volumes];
@@ -160,8 +353,79 @@ function upsertVolume(volumes, trade, intervalMs, maxItems) {
   return next.slice(-maxItems);
 }
 
-function createChart(canvas, title, unit) {
-  return new Chart(canvas, {
+function liquidationMarker(row) {
+  const position = row.side === "sell" ? "Long" : "Short";
+  return {
+    kind: "liquidation",
+    side: row.side,
+    ts: row.ts,
+    price: row.price,
+    notional: row.notional,
+    lines: [
+      `${position} liquidated${row.exchange ? ` on ${row.exchange}` : ""}`,
+      `${formatPrice(row.price)} · ${formatBtc(row.qty)} ${BASE_ASSET}`,
+      `$${formatCompact(row.notional)} · ${new Date(row.ts).toLocaleTimeString("en-GB")}`
+    ]
+  };
+}
+
+function tradeMarker(trade) {
+  const notional = trade.price * trade.qty;
+  return {
+    kind: "trade",
+    side: trade.side,
+    ts: trade.ts,
+    price: trade.price,
+    notional,
+    lines: [
+      `Large ${trade.side}`,
+      `${formatPrice(trade.price)} · ${formatBtc(trade.qty)} ${BASE_ASSET}`,
+      `$${formatCompact(notional)} · ${new Date(trade.ts).toLocaleTimeString("en-GB")}`
+    ]
+  };
+}
+
+/** Order-flow windows of an `orderFlow` payload as buy share bars. */
+function OrderFlowGauge({ flow }) {
+  const windows = Object.entries(flow?.windows ?? {});
+  if (windows.length === 0) {
+    return <div>Order flow: --</div>;
+  }
+  return (
+    <div className="flow-gauge">
+      {windows.map(([window, row]) => {
+        const total = row.buyVolume + row.sellVolume;
+        return (
+          <div className="flow-row" key={window}>
+            <span className="flow-window">{window}</span>
+            <div
+              className={`flow-bar ${total > 0 ? "" : "flow-empty"}`}
+              title={`Buy ${formatCompact(row.buyVolume)} / Sell ${formatCompact(row.sellVolume)} ${BASE_ASSET}`}
+            >
+              <div className="flow-buy" style={{ width: `${total > 0 ? (row.buyVolume / total) * 100 : 50}%` }} />
+            </div>
+            <span className={row.imbalance >= 0 ? "green" : "red"}>
+              {formatSignedPercent(row.imbalance * 100, 0)}
+            </span>
+            <span className="flow-rate">{row.tradesPerSec.toFixed(1)}/s</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Candlestick chart with taker buy/sell volume bars. Every chart gets the
+ * marker layer; `plugins` adds chart-specific layers such as the heatmap.
+ * `cvdPane` (from `createCvdPane`) adds the CVD lines read from `chart.$cvd`.
+ */
+function createChart(canvas, title, unit, plugins = [], indicators = createIndicators(""), cvdPane = null) {
+  // With indicator or CVD panes the price and volume share the height with
+  // them instead of overlapping.
+  const stacked = Object.keys(indicators.scales).length > 0 || cvdPane !== null;
+  const chart = new Chart(canvas, {
+    plugins: [indicatorsPlugin, cvdPlugin, chartMarkersPlugin, ...plugins],
     data: {
       datasets: [
         {
@@ -198,7 +462,9 @@ function createChart(canvas, title, unit) {
           backgroundColor: "rgba(255, 56, 95, 0.45)",
           borderWidth: 0,
           parsing: false
-        }
+        },
+        ...indicators.datasets,
+        ...(cvdPane?.datasets ?? [])
       ]
     },
     options: {
@@ -214,7 +480,9 @@ function createChart(canvas, title, unit) {
             unit,
             displayFormats: {
               second: "HH:mm:ss",
-              minute: "HH:mm"
+              minute: "HH:mm",
+              hour: "dd/MM HH:mm",
+              day: "dd/MM"
             }
           },
           ticks: { color: "#7f8aa8", maxTicksLimit: 12 },
@@ -223,18 +491,21 @@ function createChart(canvas, title, unit) {
         y: {
           position: "right",
           weight: 3,
+          ...(stacked ? { stack: "panes", stackWeight: 4 } : {}),
           ticks: { color: "#7f8aa8" },
           grid: { color: "rgba(255,255,255,0.08)" }
         },
         yVolume: {
           position: "right",
-          weight: 1,
+          ...(stacked ? { weight: 3.5, stack: "panes", stackWeight: 1 } : { weight: 1 }),
           ticks: {
             color: "#69738f",
             callback: (value) => Math.abs(value)
           },
           grid: { color: "rgba(255,255,255,0.04)" }
-        }
+        },
+        ...indicators.scales,
+        ...cvdPane?.scales
       },
       plugins: {
         legend: {
@@ -256,6 +527,8 @@ function createChart(canvas, title, unit) {
       }
     }
   });
+  chart.$indicators = indicators;
+  return chart;
 }
 
 function App() {
@@ -265,41 +538,89 @@ function App() {
   const minuteChartRef = useRef(null);
   const secondDataRef = useRef({ candles: [], volumes: [] });
   const minuteDataRef = useRef({ candles: [], volumes: [] });
+  const secondCvdRef = useRef({ spot: [], futures: [] });
+  const minuteCvdRef = useRef({ spot: [], futures: [] });
+  const heatmapRef = useRef({ sampleMs: 15_000, samples: [] });
+  const volumeProfileRef = useRef({ profile: null });
+  const markersRef = useRef({ items: [] });
   const previousPriceRef = useRef(null);
   const lastHistoryPollRef = useRef(0);
+  const chartIntervalRef = useRef(INITIAL_CHART_INTERVAL);
   const alertAudioRef = useRef(null);
+  const sellerAudioRef = useRef(null);
+  const whaleAudioRef = useRef(null);
+  const ruleAlertAudioRef = useRef(null);
   const fallbackAudioCtxRef = useRef(null);
-  const lastBuyerAlertAtRef = useRef(0);
-  const buyerQueueRef = useRef([]);
-  const buyerDrainTimerRef = useRef(null);
+  const buyerFeedRef = useRef(createFeedState());
+  const sellerFeedRef = useRef(createFeedState());
+  const lastWhaleAlertAtRef = useRef(0);
 
   const [price, setPrice] = useState(null);
   const [priceTrend, setPriceTrend] = useState("neutral");
   const [status, setStatus] = useState("Connecting...");
+  const [priceFeed, setPriceFeed] = useState({ feed: "binance", stale: false });
   const [lastTickTime, setLastTickTime] = useState(null);
-  const [lastBuyVolume, setLastBuyVolume] = useState(0);
-  const [lastSellVolume, setLastSellVolume] = useState(0);
+  const [orderFlow, setOrderFlow] = useState(null);
   const [topBuyers, setTopBuyers] = useState([]);
+  const [topSellers, setTopSellers] = useState([]);
+  const [wallEvents, setWallEvents] = useState({});
   const [liquidations, setLiquidations] = useState([]);
+  const [whaleTrades, setWhaleTrades] = useState([]);
+  const [liquidationStats, setLiquidationStats] = useState(null);
   const [markets, setMarkets] = useState([]);
   const [fearGreed, setFearGreed] = useState(null);
-  const btcTicker = markets.find((item) => item.symbol === "BTC");
+  const [futures, setFutures] = useState(null);
+  const [priceIndex, setPriceIndex] = useState(null);
+  const [sources, setSources] = useState({});
+  const [alertToasts, setAlertToasts] = useState([]);
+  const [clock, setClock] = useState(Date.now());
+  const [chartInterval, setChartInterval] = useState(INITIAL_CHART_INTERVAL);
+  const baseTicker = markets.find((item) => item.symbol === BASE_ASSET);
+
+  useEffect(() => {
+    document.title = `${BASE_ASSET}/${QUOTE_ASSET} Live Price`;
+  }, []);
+
+  // Drives the funding countdown.
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), 1_000);
+    return () => clearInterval(timer);
+  }, []);
 
   useEffect(() => {
     alertAudioRef.current = new Audio("/sounds/buyer-ting.wav");
     alertAudioRef.current.preload = "auto";
+    sellerAudioRef.current = new Audio("/sounds/seller-tong.wav");
+    sellerAudioRef.current.preload = "auto";
+    whaleAudioRef.current = new Audio("/sounds/whale-gong.wav");
+    whaleAudioRef.current.preload = "auto";
+    ruleAlertAudioRef.current = new Audio("/sounds/alert-chime.wav");
+    ruleAlertAudioRef.current.preload = "auto";
     return () => {
       if (alertAudioRef.current) {
         alertAudioRef.current.pause();
         alertAudioRef.current = null;
       }
+      if (sellerAudioRef.current) {
+        sellerAudioRef.current.pause();
+        sellerAudioRef.current = null;
+      }
+      if (whaleAudioRef.current) {
+        whaleAudioRef.current.pause();
+        whaleAudioRef.current = null;
+      }
+      if (ruleAlertAudioRef.current) {
+        ruleAlertAudioRef.current.pause();
+        ruleAlertAudioRef.current = null;
+      }
     };
   }, []);
 
-  const playBuyerTing = (volume) => {
+  // Plays the configured clip, or synthesizes `tone` when there is none.
+  const playTone = (audioRef, volume, tone) => {
     try {
-      if (alertAudioRef.current) {
-        const clip = alertAudioRef.current.cloneNode();
+      if (audioRef.current) {
+        const clip = audioRef.current.cloneNode();
         clip.volume = Math.max(0.03, Math.min(1, volume));
         clip.play().catch(() => {});
         return;
@@ -316,70 +637,105 @@ function App() {
       const now = ctx.currentTime;
       const osc = ctx.createOscillator();
       const gain = ctx.createGain();
-      osc.type = "triangle";
-      osc.frequency.setValueAtTime(920, now);
-      osc.frequency.exponentialRampToValueAtTime(1420, now + 0.09);
+      osc.type = tone.type;
+      osc.frequency.setValueAtTime(tone.from, now);
+      osc.frequency.exponentialRampToValueAtTime(tone.to, now + tone.rampSec);
       gain.gain.setValueAtTime(0.0001, now);
       gain.gain.exponentialRampToValueAtTime(volume, now + 0.01);
-      gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.2);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + tone.durationSec);
       osc.connect(gain);
       gain.connect(ctx.destination);
       osc.start(now);
-      osc.stop(now + 0.2);
+      osc.stop(now + tone.durationSec);
     } catch (_error) {
       // no-op
     }
   };
 
-  const pushBuyerRowToFeed = (row) => {
+  const playAlertChime = () => {
+    if (ruleAlertAudioRef.current) {
+      const clip = ruleAlertAudioRef.current.cloneNode();
+      clip.volume = 0.6;
+      clip.play().catch(() => {});
+    }
+  };
+
+  const dismissAlertToast = (id) => {
+    setAlertToasts((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  const pushRowToFeed = (feed, row) => {
     const now = Date.now();
-    const key = buyerKey(row);
+    const key = feedRowKey(row);
 
-    const btcSize = Number(row.size) || 0;
-    if (now - lastBuyerAlertAtRef.current > 300) {
-      const volume = getVolumeByBtcSize(btcSize);
+    const notional = Number(row.notional) || 0;
+    if (now - feed.state.lastAlertAt > 300) {
+      const volume = getAlertVolume(notional, feed.alertLevels);
       if (volume > 0) {
-        playBuyerTing(volume);
-        lastBuyerAlertAtRef.current = now;
+        playTone(feed.audioRef, volume, feed.tone);
+        feed.state.lastAlertAt = now;
       }
     }
 
-    setTopBuyers((prev) => {
-      let next = prev.filter((item) => item._key !== key);
-      next.unshift({
-        ...row,
-        _key: key,
-        _updatedAt: now
-      });
-      return next.slice(0, MAX_TOP_BUYERS_FEED);
-    });
+    feed.state.rows = [
+      { ...row, _key: key, _updatedAt: now },
+      ...feed.state.rows.filter((item) => item._key !== key)
+    ].slice(0, feed.maxRows);
+    feed.setRows(feed.state.rows);
   };
 
-  const startBuyerQueueDrain = () => {
-    if (buyerDrainTimerRef.current) {
+  const startFeedQueueDrain = (feed) => {
+    if (feed.state.drainTimer) {
       return;
     }
 
-    buyerDrainTimerRef.current = setInterval(() => {
-      const nextRow = buyerQueueRef.current.shift();
+    feed.state.drainTimer = setInterval(() => {
+      const nextRow = feed.state.queue.shift();
       if (!nextRow) {
-        clearInterval(buyerDrainTimerRef.current);
-        buyerDrainTimerRef.current = null;
+        clearInterval(feed.state.drainTimer);
+        feed.state.drainTimer = null;
         return;
       }
-      pushBuyerRowToFeed(nextRow);
+      pushRowToFeed(feed, nextRow);
     }, 120);
   };
 
-  const mergeTopBuyersFeed = (incomingRows) => {
-    const filtered = incomingRows.filter((row) => Number(row?.size) >= MIN_BUYER_BTC);
-    if (filtered.length === 0) {
+  // The same rows arrive with every push and poll; only levels that are not
+  // in the feed or the queue yet are queued, and the queue keeps the largest.
+  const mergeOrderFeed = (feed, incomingRows) => {
+    const known = new Set(
+      [...feed.state.rows, ...feed.state.queue].map((row) => row._key ?? feedRowKey(row))
+    );
+    const fresh = incomingRows.filter(
+      (row) => Number(row?.notional) >= feed.minNotional && !known.has(feedRowKey(row))
+    );
+    if (fresh.length === 0) {
       return;
     }
 
-    filtered.sort((a, b) => Number(b.notional) - Number(a.notional));
-    buyerQueueRef.current.push(...filtered);
-    startBuyerQueueDrain();
+    feed.state.queue = [...feed.state.queue, ...fresh]
+      .sort((a, b) => Number(b.notional) - Number(a.notional))
+      .slice(0, feed.maxRows);
+    startFeedQueueDrain(feed);
+  };
+
+  const buyerFeed = {
+    state: buyerFeedRef.current,
+    setRows: setTopBuyers,
+    minNotional: MIN_BUYER_NOTIONAL,
+    maxRows: MAX_TOP_BUYERS_FEED,
+    alertLevels: BUYER_ALERT_NOTIONAL_LEVELS,
+    audioRef: alertAudioRef,
+    tone: BUYER_TONE
+  };
+  const sellerFeed = {
+    state: sellerFeedRef.current,
+    setRows: setTopSellers,
+    minNotional: MIN_SELLER_NOTIONAL,
+    maxRows: MAX_TOP_SELLERS_FEED,
+    alertLevels: SELLER_ALERT_NOTIONAL_LEVELS,
+    audioRef: sellerAudioRef,
+    tone: SELLER_TONE
   };
 
   const applyPrice = (nextPrice, ts) => {
@@ -405,6 +761,7 @@ function App() {
     () =>
       io(BACKEND_URL, {
         transports: ["websocket", "polling"],
+        query: { symbol: SYMBOL },
         reconnection: true,
         reconnectionAttempts: Infinity,
         reconnectionDelay: 1000,
@@ -419,8 +776,28 @@ function App() {
       return undefined;
     }
 
-    secondChartRef.current = createChart(secondCanvasRef.current, "10s", "second");
-    minuteChartRef.current = createChart(minuteCanvasRef.current, "15m", "minute");
+    secondChartRef.current = createChart(
+      secondCanvasRef.current,
+      "10s",
+      "second",
+      [],
+      createIndicators(SECOND_INDICATORS),
+      SHOW_CVD ? createCvdPane() : null
+    );
+    minuteChartRef.current = createChart(
+      minuteCanvasRef.current,
+      chartIntervalRef.current,
+      CHART_INTERVALS[chartIntervalRef.current].unit,
+      SHOW_VOLUME_PROFILE ? [depthHeatmapPlugin, volumeProfilePlugin] : [depthHeatmapPlugin],
+      createIndicators(MINUTE_INDICATORS),
+      SHOW_CVD ? createCvdPane() : null
+    );
+    minuteChartRef.current.$heatmap = heatmapRef.current;
+    minuteChartRef.current.$volumeProfile = volumeProfileRef.current;
+    secondChartRef.current.$markers = markersRef.current;
+    secondChartRef.current.$cvd = secondCvdRef.current;
+    minuteChartRef.current.$cvd = minuteCvdRef.current;
+    minuteChartRef.current.$markers = markersRef.current;
 
     return () => {
       secondChartRef.current?.destroy();
@@ -431,6 +808,34 @@ function App() {
   }, []);
 
   useEffect(() => {
+    if (chartIntervalRef.current === chartInterval) {
+      return;
+    }
+    chartIntervalRef.current = chartInterval;
+    minuteDataRef.current = { candles: [], volumes: [] };
+    minuteCvdRef.current.spot = [];
+    minuteCvdRef.current.futures = [];
+    volumeProfileRef.current.profile = null;
+    if (minuteChartRef.current) {
+      const chart = minuteChartRef.current;
+      chart.options.scales.x.time.unit = CHART_INTERVALS[chartInterval].unit;
+      chart.data.datasets[0].label = chartInterval;
+      chart.data.datasets.forEach((dataset) => {
+        dataset.data = [];
+      });
+      chart.update("none");
+    }
+    // Let the 1s poller reload history for the new interval on its next tick.
+    lastHistoryPollRef.current = 0;
+  }, [chartInterval]);
+
+  useEffect(() => {
+    const addChartMarkers = (markers) => {
+      markersRef.current.items = [...markersRef.current.items, ...markers]
+        .sort((a, b) => a.ts - b.ts)
+        .slice(-MAX_CHART_MARKERS);
+    };
+
     const renderSecondChart = () => {
       if (!secondChartRef.current) {
         return;
@@ -453,17 +858,18 @@ function App() {
       minuteChartRef.current.data.datasets[1].data = volumes.map((v) => ({ x: v.x, y: v.buy }));
       minuteChartRef.current.data.datasets[2].data = volumes.map((v) => ({ x: v.x, y: -v.sell }));
       minuteChartRef.current.update("none");
-      const lastVol = volumes[volumes.length - 1];
-      setLastBuyVolume(lastVol?.buy ?? 0);
-      setLastSellVolume(lastVol?.sell ?? 0);
     };
 
+    const secondChartThrottle = createRenderThrottle(renderSecondChart, CHART_RENDER_THROTTLE_MS);
+    const minuteChartThrottle = createRenderThrottle(renderMinuteChart, CHART_RENDER_THROTTLE_MS);
+
     const onConnect = () => setStatus("Live");
     const onDisconnect = (reason) => setStatus(`Reconnect (${reason})`);
-    const onConnectError = () => setStatus("Connection error");
+    const onConnectError = (error) =>
+      setStatus(error?.message ? `Connection error: ${error.message}` : "Connection error");
 
     const onHistory = (history) => {
-      if (!Array.isArray(history)) {
+      if (!Array.isArray(history) || chartIntervalRef.current !== "1m") {
         return;
       }
       const candles = history
@@ -476,9 +882,11 @@ function App() {
           c: Number(k.close)
         }));
       minuteDataRef.current.candles = candles;
-      if (minuteDataRef.current.volumes.length === 0) {
-        minuteDataRef.current.volumes = candles.map((c) => ({ x: c.x, buy: 0, sell: 0 }));
-      }
+      minuteDataRef.current.volumes = history.slice(-MAX_MINUTE_CANDLES).map((k) => ({
+        x: Number(k.startTime),
+        buy: Number(k.buyVolume) || 0,
+        sell: Number(k.sellVolume) || 0
+      }));
       renderMinuteChart();
       const last = candles[candles.length - 1];
       if (last) {
@@ -486,12 +894,62 @@ function App() {
       }
     };
 
+    const onSecondHistory = (payload) => {
+      if (payload?.interval !== SECOND_CHART_INTERVAL || !Array.isArray(payload.candles)) {
+        return;
+      }
+      const history = payload.candles.slice(-MAX_SECOND_CANDLES);
+      const lastX = Number(history[history.length - 1]?.startTime) || 0;
+      // Keep buckets built from trades that arrived before the backfill.
+      secondDataRef.current.candles = [
+        ...history.map((k) => ({
+          x: Number(k.startTime),
+          o: Number(k.open),
+          h: Number(k.high),
+          l: Number(k.low),
+          c: Number(k.close)
+        })),
+        ...secondDataRef.current.candles.filter((c) => c.x > lastX)
+      ].slice(-MAX_SECOND_CANDLES);
+      secondDataRef.current.volumes = [
+        ...history.map((k) => ({
+          x: Number(k.startTime),
+          buy: Number(k.buyVolume) || 0,
+          sell: Number(k.sellVolume) || 0
+        })),
+        ...secondDataRef.current.volumes.filter((v) => v.x > lastX)
+      ].slice(-MAX_SECOND_CANDLES);
+      renderSecondChart();
+    };
+
     const onKline = (kline) => {
+      if (kline?.interval === SECOND_CHART_INTERVAL) {
+        secondDataRef.current.candles = upsertCandleFromKline(
+          secondDataRef.current.candles,
+          kline,
+          MAX_SECOND_CANDLES
+        );
+        secondDataRef.current.volumes = upsertVolumeFromKline(
+          secondDataRef.current.volumes,
+          kline,
+          MAX_SECOND_CANDLES
+        );
+        renderSecondChart();
+        return;
+      }
+      if ((kline?.interval || "1m") !== chartIntervalRef.current) {
+        return;
+      }
       minuteDataRef.current.candles = upsertCandleFromKline(
         minuteDataRef.current.candles,
         kline,
         MAX_MINUTE_CANDLES
       );
+      minuteDataRef.current.volumes = upsertVolumeFromKline(
+        minuteDataRef.current.volumes,
+        kline,
+        MAX_MINUTE_CANDLES
+      );
       renderMinuteChart();
     };
 
@@ -500,6 +958,10 @@ function App() {
         return;
       }
       applyPrice(trade.price, trade.ts);
+      const isLargeTrade = trade.price * trade.qty >= MIN_TRADE_MARKER_NOTIONAL;
+      if (isLargeTrade) {
+        addChartMarkers([tradeMarker(trade)]);
+      }
       const prevBucket = secondDataRef.current.candles[secondDataRef.current.candles.length - 1]?.x;
       secondDataRef.current.candles = upsertCandleFromTrade(
         secondDataRef.current.candles,
@@ -514,41 +976,131 @@ function App() {
         MAX_SECOND_CANDLES
       );
       const nextBucket = secondDataRef.current.candles[secondDataRef.current.candles.length - 1]?.x;
-      if (!prevBucket || prevBucket !== nextBucket) {
+      if (!prevBucket || prevBucket !== nextBucket || isLargeTrade) {
         renderSecondChart();
       }
 
+      // Minute volumes come from the taker split on `kline` events, trades
+      // only move the open candle between kline updates.
       minuteDataRef.current.candles = upsertCandleFromTrade(
         minuteDataRef.current.candles,
         trade,
-        60_000,
+        CHART_INTERVALS[chartIntervalRef.current].ms,
         MAX_MINUTE_CANDLES
       );
-      minuteDataRef.current.volumes = upsertVolume(
-        minuteDataRef.current.volumes,
-        trade,
-        60_000,
-        MAX_MINUTE_CANDLES
-      );
-      renderMinuteChart();
+      volumeProfileRef.current.profile = addTradeToProfile(volumeProfileRef.current.profile, trade);
+      minuteChartThrottle.schedule();
     };
 
     const onPrice = (payload) => {
       if (payload && typeof payload.close === "number") {
         applyPrice(payload.close, payload.ts);
       }
+      if (payload?.source === "second" && payload.feed) {
+        setPriceFeed({ feed: payload.feed, stale: Boolean(payload.stale) });
+      }
     };
 
     const onTopBuyers = (payload) => {
       const rows = Array.isArray(payload?.rows) ? payload.rows : [];
-      mergeTopBuyersFeed(rows);
+      mergeOrderFeed(buyerFeed, rows);
+    };
+
+    const onTopSellers = (payload) => {
+      const rows = Array.isArray(payload?.rows) ? payload.rows : [];
+      mergeOrderFeed(sellerFeed, rows);
+    };
+
+    const onHeatmapHistory = (payload) => {
+      if (!Array.isArray(payload?.samples)) {
+        return;
+      }
+      heatmapRef.current.sampleMs = Number(payload.sampleMs) || heatmapRef.current.sampleMs;
+      heatmapRef.current.samples = payload.samples.slice(-MAX_HEATMAP_SAMPLES);
+      renderMinuteChart();
+    };
+
+    const onHeatmap = (payload) => {
+      if (!payload?.sample) {
+        return;
+      }
+      heatmapRef.current.sampleMs = Number(payload.sampleMs) || heatmapRef.current.sampleMs;
+      heatmapRef.current.samples = [...heatmapRef.current.samples, payload.sample].slice(
+        -MAX_HEATMAP_SAMPLES
+      );
+      minuteChartThrottle.schedule();
+    };
+
+    const applyWallEvents = (walls) => {
+      setWallEvents((prev) => {
+        const next = { ...prev };
+        for (const wall of walls) {
+          if (wall.status === "active") {
+            delete next[wall.id];
+          } else {
+            next[wall.id] = { status: wall.status, spoof: Boolean(wall.spoof), at: wall.lastSeen };
+          }
+        }
+        const ids = Object.keys(next);
+        if (ids.length > MAX_TRACKED_WALL_EVENTS) {
+          ids
+            .sort((a, b) => next[a].at - next[b].at)
+            .slice(0, ids.length - MAX_TRACKED_WALL_EVENTS)
+            .forEach((id) => delete next[id]);
+        }
+        return next;
+      });
+    };
+
+    const onWalls = (payload) => {
+      const recent = Array.isArray(payload?.recent) ? payload.recent : [];
+      applyWallEvents([...recent].reverse());
+    };
+
+    const onWallEvent = (payload) => {
+      if (payload?.wall?.id) {
+        applyWallEvents([payload.wall]);
+      }
+    };
+
+    const onWhaleTrades = (payload) => {
+      setWhaleTrades(Array.isArray(payload?.rows) ? payload.rows.slice(0, MAX_WHALE_TRADES) : []);
+    };
+
+    const onWhaleTrade = (payload) => {
+      if (!payload || typeof payload.notional !== "number") {
+        return;
+      }
+      const now = Date.now();
+      if (now - lastWhaleAlertAtRef.current > 300) {
+        const volume = getAlertVolume(payload.notional, WHALE_ALERT_NOTIONAL_LEVELS);
+        if (volume > 0) {
+          playTone(whaleAudioRef, volume, WHALE_TONE);
+          lastWhaleAlertAtRef.current = now;
+        }
+      }
+      setWhaleTrades((prev) => [payload, ...prev].slice(0, MAX_WHALE_TRADES));
     };
 
     const onLiquidations = (payload) => {
-      setLiquidations(Array.isArray(payload?.rows) ? payload.rows : []);
+      const rows = Array.isArray(payload?.rows) ? payload.rows : [];
+      setLiquidations(rows);
+      markersRef.current.items = markersRef.current.items.filter((item) => item.kind !== "liquidation");
+      addChartMarkers(rows.map(liquidationMarker));
+      renderMinuteChart();
+    };
+    const onLiquidationStats = (payload) => {
+      if (payload?.windows) {
+        setLiquidationStats(payload.windows);
+      }
     };
     const onLiquidation = (payload) => {
       setLiquidations((prev) => [payload, ...prev].slice(0, 30));
+      if (typeof payload?.price === "number") {
+        addChartMarkers([liquidationMarker(payload)]);
+        secondChartThrottle.schedule();
+        minuteChartThrottle.schedule();
+      }
     };
 
     const onMarkets = (payload) => {
@@ -559,33 +1111,119 @@ function App() {
         setFearGreed(payload);
       }
     };
+    const onPriceIndex = (payload) => {
+      if (Array.isArray(payload?.venues)) {
+        setPriceIndex(payload);
+      }
+    };
+    const onFutures = (payload) => {
+      if (payload?.updatedAt) {
+        setFutures(payload);
+      }
+    };
+    const onSourceStatus = (payload) => {
+      setSources(toSourceMap(payload));
+    };
+    const onOrderFlow = (payload) => {
+      if (payload?.windows) {
+        setOrderFlow(payload);
+      }
+    };
+    const onCvd = (payload) => {
+      const second = payload?.intervals?.[SECOND_CHART_INTERVAL];
+      const minute = payload?.intervals?.[chartIntervalRef.current];
+      if (second) {
+        const series = secondCvdRef.current;
+        series.spot = applyCvdDeltas(series.spot, second.spot, MAX_SECOND_CANDLES);
+        series.futures = applyCvdDeltas(series.futures, second.futures, MAX_SECOND_CANDLES);
+        renderSecondChart();
+      }
+      if (minute) {
+        const series = minuteCvdRef.current;
+        series.spot = applyCvdDeltas(series.spot, minute.spot, MAX_MINUTE_CANDLES);
+        series.futures = applyCvdDeltas(series.futures, minute.futures, MAX_MINUTE_CANDLES);
+        renderMinuteChart();
+      }
+    };
+    const toastTimers = new Set();
+    const onAlert = (payload) => {
+      if (!payload?.id) {
+        return;
+      }
+      playAlertChime();
+      setAlertToasts((prev) => [payload, ...prev].slice(0, MAX_ALERT_TOASTS));
+      const timer = setTimeout(() => {
+        toastTimers.delete(timer);
+        dismissAlertToast(payload.id);
+      }, ALERT_TOAST_MS);
+      toastTimers.add(timer);
+    };
 
     socket.on("connect", onConnect);
     socket.on("disconnect", onDisconnect);
     socket.on("connect_error", onConnectError);
     socket.on("history", onHistory);
+    socket.on("secondHistory", onSecondHistory);
     socket.on("kline", onKline);
     socket.on("trade", onTrade);
     socket.on("price", onPrice);
     socket.on("topBuyers", onTopBuyers);
+    socket.on("topSellers", onTopSellers);
+    socket.on("heatmapHistory", onHeatmapHistory);
+    socket.on("heatmap", onHeatmap);
+    socket.on("walls", onWalls);
+    socket.on("wallAdded", onWallEvent);
+    socket.on("wallPulled", onWallEvent);
+    socket.on("wallFilled", onWallEvent);
+    socket.on("whaleTrades", onWhaleTrades);
+    socket.on("whaleTrade", onWhaleTrade);
     socket.on("liquidations", onLiquidations);
     socket.on("liquidation", onLiquidation);
+    socket.on("liquidationStats", onLiquidationStats);
     socket.on("markets", onMarkets);
     socket.on("fearGreed", onFearGreed);
+    socket.on("futures", onFutures);
+    socket.on("priceIndex", onPriceIndex);
+    socket.on("sourceStatus", onSourceStatus);
+    socket.on("orderFlow", onOrderFlow);
+    socket.on("cvd", onCvd);
+    socket.on("alert", onAlert);
 
     return () => {
+      secondChartThrottle.cancel();
+      minuteChartThrottle.cancel();
       socket.off("connect", onConnect);
       socket.off("disconnect", onDisconnect);
       socket.off("connect_error", onConnectError);
       socket.off("history", onHistory);
+      socket.off("secondHistory", onSecondHistory);
       socket.off("kline", onKline);
       socket.off("trade", onTrade);
       socket.off("price", onPrice);
       socket.off("topBuyers", onTopBuyers);
+      socket.off("topSellers", onTopSellers);
+      socket.off("heatmapHistory", onHeatmapHistory);
+      socket.off("heatmap", onHeatmap);
+      socket.off("walls", onWalls);
+      socket.off("wallAdded", onWallEvent);
+      socket.off("wallPulled", onWallEvent);
+      socket.off("wallFilled", onWallEvent);
+      socket.off("whaleTrades", onWhaleTrades);
+      socket.off("whaleTrade", onWhaleTrade);
       socket.off("liquidations", onLiquidations);
       socket.off("liquidation", onLiquidation);
+      socket.off("liquidationStats", onLiquidationStats);
       socket.off("markets", onMarkets);
       socket.off("fearGreed", onFearGreed);
+      socket.off("futures", onFutures);
+      socket.off("priceIndex", onPriceIndex);
+      socket.off("sourceStatus", onSourceStatus);
+      socket.off("orderFlow", onOrderFlow);
+      socket.off("cvd", onCvd);
+      socket.off("alert", onAlert);
+      for (const timer of toastTimers) {
+        clearTimeout(timer);
+      }
       socket.close();
     };
   }, [socket]);
@@ -615,18 +1253,18 @@ function App() {
       minuteChartRef.current.data.datasets[1].data = volumes.map((v) => ({ x: v.x, y: v.buy }));
       minuteChartRef.current.data.datasets[2].data = volumes.map((v) => ({ x: v.x, y: -v.sell }));
       minuteChartRef.current.update("none");
-      const lastVol = volumes[volumes.length - 1];
-      setLastBuyVolume(lastVol?.buy ?? 0);
-      setLastSellVolume(lastVol?.sell ?? 0);
     };
 
     const pollPrice = async () => {
       try {
-        const res = await fetch(`${BACKEND_URL}/api/price`);
+        const res = await fetch(`${BACKEND_URL}/api/price?${SYMBOL_QUERY}`);
         if (!res.ok || stopped) {
           return;
         }
         const payload = await res.json();
+        if (payload?.feed) {
+          setPriceFeed((prev) => ({ ...prev, feed: payload.feed }));
+        }
         const close = Number(payload?.close);
         const ts = Number(payload?.ts) || Date.now();
         if (Number.isFinite(close)) {
@@ -651,11 +1289,15 @@ function App() {
 
     const pollHistory = async () => {
       try {
-        const res = await fetch(`${BACKEND_URL}/api/history`);
+        const interval = chartIntervalRef.current;
+        const res = await fetch(`${BACKEND_URL}/api/history?${SYMBOL_QUERY}&interval=${interval}`);
         if (!res.ok || stopped) {
           return;
         }
         const payload = await res.json();
+        if (interval !== chartIntervalRef.current) {
+          return;
+        }
         const history = Array.isArray(payload?.candles) ? payload.candles : [];
         minuteDataRef.current.candles = history.slice(-MAX_MINUTE_CANDLES).map((k) => ({
           x: Number(k.startTime),
@@ -664,13 +1306,62 @@ function App() {
           l: Number(k.low),
           c: Number(k.close)
         }));
-        if (minuteDataRef.current.volumes.length === 0) {
-          minuteDataRef.current.volumes = minuteDataRef.current.candles.map((c) => ({
-            x: c.x,
-            buy: 0,
-            sell: 0
-          }));
+        minuteDataRef.current.volumes = history.slice(-MAX_MINUTE_CANDLES).map((k) => ({
+          x: Number(k.startTime),
+          buy: Number(k.buyVolume) || 0,
+          sell: Number(k.sellVolume) || 0
+        }));
+        renderMinuteChartFallback();
+      } catch (_error) {
+        // no-op
+      }
+    };
+
+    const pollCvd = async () => {
+      try {
+        const interval = chartIntervalRef.current;
+        const [secondRes, minuteRes] = await Promise.all([
+          fetch(`${BACKEND_URL}/api/cvd?${SYMBOL_QUERY}&interval=${SECOND_CHART_INTERVAL}`),
+          fetch(`${BACKEND_URL}/api/cvd?${SYMBOL_QUERY}&interval=${interval}`)
+        ]);
+        if (stopped) {
+          return;
         }
+        if (secondRes.ok) {
+          const payload = await secondRes.json();
+          secondCvdRef.current.spot = toCvdSeries(payload?.spot).slice(-MAX_SECOND_CANDLES);
+          secondCvdRef.current.futures = toCvdSeries(payload?.futures).slice(-MAX_SECOND_CANDLES);
+          renderSecondChartFallback();
+        }
+        if (minuteRes.ok) {
+          const payload = await minuteRes.json();
+          if (interval !== chartIntervalRef.current) {
+            return;
+          }
+          minuteCvdRef.current.spot = toCvdSeries(payload?.spot).slice(-MAX_MINUTE_CANDLES);
+          minuteCvdRef.current.futures = toCvdSeries(payload?.futures).slice(-MAX_MINUTE_CANDLES);
+          renderMinuteChartFallback();
+        }
+      } catch (_error) {
+        // no-op
+      }
+    };
+
+    const pollVolumeProfile = async () => {
+      if (!SHOW_VOLUME_PROFILE) {
+        return;
+      }
+      try {
+        const interval = chartIntervalRef.current;
+        const res = await fetch(`${BACKEND_URL}/api/volume-profile?${SYMBOL_QUERY}&interval=${interval}`);
+        if (!res.ok || stopped) {
+          return;
+        }
+        const payload = await res.json();
+        if (interval !== chartIntervalRef.current) {
+          return;
+        }
+        volumeProfileRef.current.profile = toVolumeProfile(payload);
         renderMinuteChartFallback();
       } catch (_error) {
         // no-op
@@ -679,11 +1370,16 @@ function App() {
 
     const pollExtras = async () => {
       try {
-        const [m, fg, l, tbRes] = await Promise.all([
+        const [m, fg, l, tbRes, tsRes, wtRes, fuRes, srcRes, ofRes] = await Promise.all([
           fetch(`${BACKEND_URL}/api/markets`),
           fetch(`${BACKEND_URL}/api/fear-greed`),
-          fetch(`${BACKEND_URL}/api/liquidations`),
-          fetch(`${BACKEND_URL}/api/top-buyers`)
+          fetch(`${BACKEND_URL}/api/liquidations?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/top-buyers?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/top-sellers?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/whale-trades?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/futures?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/sources?${SYMBOL_QUERY}`),
+          fetch(`${BACKEND_URL}/api/order-flow?${SYMBOL_QUERY}`)
         ]);
         if (m.ok) {
           const mk = await m.json();
@@ -702,7 +1398,31 @@ function App() {
         if (tbRes.ok) {
           const tb = await tbRes.json();
           const rows = Array.isArray(tb?.rows) ? tb.rows : [];
-          mergeTopBuyersFeed(rows);
+          mergeOrderFeed(buyerFeed, rows);
+        }
+        if (tsRes.ok) {
+          const ts = await tsRes.json();
+          const rows = Array.isArray(ts?.rows) ? ts.rows : [];
+          mergeOrderFeed(sellerFeed, rows);
+        }
+        if (wtRes.ok) {
+          const wt = await wtRes.json();
+          setWhaleTrades(Array.isArray(wt?.rows) ? wt.rows.slice(0, MAX_WHALE_TRADES) : []);
+        }
+        if (fuRes.ok) {
+          const fu = await fuRes.json();
+          if (fu?.updatedAt) {
+            setFutures(fu);
+          }
+        }
+        if (srcRes.ok) {
+          setSources(toSourceMap(await srcRes.json()));
+        }
+        if (ofRes.ok) {
+          const of = await ofRes.json();
+          if (of?.windows) {
+            setOrderFlow(of);
+          }
         }
       } catch (_error) {
         // no-op
@@ -715,22 +1435,26 @@ function App() {
       if (now - lastHistoryPollRef.current >= 10_000) {
         lastHistoryPollRef.current = now;
         await pollHistory();
+        await pollCvd();
+        await pollVolumeProfile();
         await pollExtras();
       }
     }, 1_000);
 
     pollPrice();
     pollHistory();
+    pollCvd();
+    pollVolumeProfile();
     pollExtras();
 
     return () => {
       stopped = true;
       clearInterval(timer);
-      if (buyerDrainTimerRef.current) {
-        clearInterval(buyerDrainTimerRef.current);
-        buyerDrainTimerRef.current = null;
+      for (const feed of [buyerFeedRef.current, sellerFeedRef.current]) {
+        clearInterval(feed.drainTimer);
+        feed.drainTimer = null;
+        feed.queue = [];
       }
-      buyerQueueRef.current = [];
       if (fallbackAudioCtxRef.current && fallbackAudioCtxRef.current.state !== "closed") {
         fallbackAudioCtxRef.current.close().catch(() => {});
       }
@@ -740,19 +1464,40 @@ function App() {
   const topMaxNotional = topBuyers.length
     ? Math.max(...topBuyers.map((item) => Number(item.notional) || 0))
     : 0;
+  const sellerMaxNotional = topSellers.length
+    ? Math.max(...topSellers.map((item) => Number(item.notional) || 0))
+    : 0;
 
   return (
     <div className="layout">
+      {alertToasts.length > 0 && (
+        <div className="alert-toasts">
+          {alertToasts.map((item) => (
+            <button
+              type="button"
+              className={`alert-toast alert-${item.type}`}
+              key={item.id}
+              onClick={() => dismissAlertToast(item.id)}
+            >
+              <span className="alert-time">{new Date(item.ts).toLocaleTimeString("en-GB")}</span>
+              {item.message}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="ticker-strip">
         <div className="btc-block">
-          <span className={`btc-head btc-${priceTrend}`}>BTC: {formatPrice(price)}</span>
-          <b className={(btcTicker?.changePercent ?? 0) >= 0 ? "green" : "red"}>
-            {(btcTicker?.changePercent ?? 0) >= 0 ? "+" : ""}
-            {(btcTicker?.changePercent ?? 0).toFixed(2)}%
+          <span className={`btc-head btc-${priceTrend}`}>
+            {BASE_ASSET}: {formatPrice(price)}
+          </span>
+          <b className={(baseTicker?.changePercent ?? 0) >= 0 ? "green" : "red"}>
+            {(baseTicker?.changePercent ?? 0) >= 0 ? "+" : ""}
+            {(baseTicker?.changePercent ?? 0).toFixed(2)}%
           </b>
+          <StaleBadge source={sources.markets} />
         </div>
         {markets.map((m) => (
-          m.symbol === "BTC" ? null : (
+          m.symbol === BASE_ASSET ? null : (
           <span className="ticker-item" key={`${m.marketType || "m"}-${m.symbol}`}>
             {m.symbol}: {formatPrice(m.price)}{" "}
             <b className={m.changePercent >= 0 ? "green" : "red"}>
@@ -768,36 +1513,163 @@ function App() {
         <main className="charts-col">
           <section className="chart-card top">
             <div className="fear-card">
-              <div className="fear-title">FEAR & GREED</div>
+              <div className="fear-title">
+                FEAR & GREED <StaleBadge source={sources.fearGreed} />
+              </div>
               <div className="fear-value">{fearGreed?.value ?? "--"}</div>
               <div className="fear-label">{fearGreed?.classification ?? "Loading"}</div>
             </div>
-            <div className="chart-label">10s</div>
+            <div
+              className={`futures-card ${
+                futures?.updatedAt && clock - futures.updatedAt > FUTURES_STALE_MS ? "stale" : ""
+              }`}
+            >
+              <div className="fear-title">
+                {BASE_ASSET} PERP <StaleBadge source={sources.futures} />
+              </div>
+              <div className="futures-line">
+                <span>Funding</span>
+                <b className={(futures?.fundingRate ?? 0) >= 0 ? "green" : "red"}>
+                  {formatSignedPercent(
+                    futures?.fundingRate === undefined ? null : futures.fundingRate * 100,
+                    4
+                  )}
+                </b>
+                <span className="futures-muted">
+                  {futures?.nextFundingTime ? formatCountdown(futures.nextFundingTime - clock) : "--"}
+                </span>
+              </div>
+              <div className="futures-line">
+                <span>Mark</span>
+                <b>{formatPrice(futures?.markPrice)}</b>
+                <span className="futures-muted">
+                  idx {formatPrice(futures?.indexPrice)} ({formatSignedPercent(futures?.basisPct, 3)})
+                </span>
+              </div>
+              <div className="futures-line">
+                <span>OI</span>
+                <b>
+                  {formatCompact(futures?.openInterest)} {BASE_ASSET}
+                </b>
+                <span className="futures-muted">${formatCompact(futures?.openInterestValue)}</span>
+              </div>
+              <div className="futures-line futures-muted">
+                {Object.entries(futures?.openInterestChange ?? {}).map(([window, change]) => (
+                  <span key={window}>
+                    {window}{" "}
+                    <b className={(change ?? 0) >= 0 ? "green" : "red"}>{formatSignedPercent(change)}</b>
+                  </span>
+                ))}
+              </div>
+              <div className="futures-line">
+                <span>Top L/S</span>
+                <b>{futures?.longShortRatio ? futures.longShortRatio.toFixed(2) : "--"}</b>
+                <span className="futures-muted">
+                  {futures?.longAccount
+                    ? `${(futures.longAccount * 100).toFixed(0)}% / ${(futures.shortAccount * 100).toFixed(0)}%`
+                    : "--"}
+                </span>
+              </div>
+            </div>
+            {priceIndex && (
+              <div className="spread-card">
+                <div className="futures-line">
+                  <span className="fear-title">
+                    INDEX <StaleBadge source={sources.priceIndex} />
+                  </span>
+                  <b>{formatPrice(priceIndex.index)}</b>
+                  <span className="futures-muted">
+                    CB {formatSignedPercent(priceIndex.coinbasePremiumPct, 3)}
+                  </span>
+                </div>
+                {priceIndex.venues.map((venue) => (
+                  <div
+                    className={`spread-row ${venue.stale ? "stale" : ""}`}
+                    key={venue.exchangeId}
+                    title={`${(venue.weight * 100).toFixed(1)}% of index · vol $${formatCompact(venue.quoteVolume)}`}
+                  >
+                    <img className="logo" src={venue.logoUrl} alt={venue.exchange} />
+                    <span>{formatPrice(venue.price)}</span>
+                    <b className={(venue.premiumPct ?? 0) >= 0 ? "green" : "red"}>
+                      {formatSignedPercent(venue.premiumPct, 3)}
+                    </b>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="chart-label">
+              10s <StaleBadge source={sources.trades} />
+            </div>
             <canvas ref={secondCanvasRef} />
           </section>
 
           <section className="chart-card">
-            <div className="chart-label">15m</div>
+            <div className="chart-label">
+              {chartInterval} <StaleBadge source={sources.candles} />
+            </div>
+            <div className="interval-switch">
+              {Object.keys(CHART_INTERVALS).map((interval) => (
+                <button
+                  type="button"
+                  key={interval}
+                  className={interval === chartInterval ? "active" : ""}
+                  onClick={() => setChartInterval(interval)}
+                >
+                  {interval}
+                </button>
+              ))}
+            </div>
             <canvas ref={minuteCanvasRef} />
           </section>
         </main>
 
         <aside className="stream-col">
           <div className="stream-panel">
-            <div className="panel-title">TOP BUYERS</div>
+            <div className="panel-title">
+              TOP BUYERS <StaleBadge source={sources.orderBook} />
+            </div>
             <div className="rows">
               {topBuyers.slice(0, 12).map((row, idx) => {
                 const intensity = topMaxNotional > 0 ? Number(row.notional) / topMaxNotional : 0;
                 return (
                   <div
-                    className="row buyer-row"
+                    className={`row buyer-row ${wallEvents[wallId(row, "bid")]?.status === "pulled" ? "wall-pulled" : ""}`}
                     key={row._key || `${row.exchangeId}-${row.price}-${idx}`}
                     style={{ "--buy-intensity": `${(0.14 + intensity * 0.86).toFixed(3)}` }}
                   >
                     <img className="logo" src={row.logoUrl} alt={row.exchange} />
                     <span className="price">{formatPrice(row.price)}</span>
-                    <span className="buyer-btc">{formatBtc(row.size)} BTC</span>
+                    <span className="buyer-btc">
+                      {formatBtc(row.size)} {BASE_ASSET}
+                    </span>
+                    <span className="money">${formatCompact(row.notional)}</span>
+                    <WallBadge row={row} side="bid" wallEvents={wallEvents} />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="stream-panel">
+            <div className="panel-title seller-title">
+              TOP SELLERS <StaleBadge source={sources.orderBook} />
+            </div>
+            <div className="rows">
+              {topSellers.slice(0, 12).map((row, idx) => {
+                const intensity = sellerMaxNotional > 0 ? Number(row.notional) / sellerMaxNotional : 0;
+                return (
+                  <div
+                    className={`row seller-row ${wallEvents[wallId(row, "ask")]?.status === "pulled" ? "wall-pulled" : ""}`}
+                    key={row._key || `${row.exchangeId}-${row.price}-${idx}`}
+                    style={{ "--sell-intensity": `${(0.14 + intensity * 0.86).toFixed(3)}` }}
+                  >
+                    <img className="logo" src={row.logoUrl} alt={row.exchange} />
+                    <span className="price">{formatPrice(row.price)}</span>
+                    <span className="seller-size">
+                      {formatBtc(row.size)} {BASE_ASSET}
+                    </span>
                     <span className="money">${formatCompact(row.notional)}</span>
+                    <WallBadge row={row} side="ask" wallEvents={wallEvents} />
                   </div>
                 );
               })}
@@ -805,10 +1677,60 @@ function App() {
           </div>
 
           <div className="stream-panel">
-            <div className="panel-title">LIQUIDATIONS</div>
+            <div className="panel-title whale-title">
+              WHALE TAPE <StaleBadge source={sources.trades} />
+            </div>
+            <div className="rows">
+              {whaleTrades.slice(0, 14).map((row) => (
+                <div
+                  className={`row whale-row ${row.side === "sell" ? "whale-sell" : "whale-buy"}`}
+                  key={`${row.startTs}-${row.side}-${row.size}`}
+                  title={`${row.trades} trades, ${formatPrice(row.firstPrice)} -> ${formatPrice(row.lastPrice)}`}
+                >
+                  <span>{new Date(row.ts).toLocaleTimeString("en-GB")}</span>
+                  <span className="price">{formatPrice(row.price)}</span>
+                  <span>
+                    {formatBtc(row.size)} {BASE_ASSET}
+                  </span>
+                  <span className="money">${formatCompact(row.notional)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="stream-panel">
+            <div className="panel-title">
+              LIQUIDATIONS <StaleBadge source={sources.liquidations} />
+            </div>
+            {liquidationStats && (
+              <div className="liq-stats">
+                {Object.entries(liquidationStats).map(([window, stats]) => (
+                  <div className="liq-stat" key={window}>
+                    <span className="liq-stat-window">{window}</span>
+                    <span className="red" title={`${stats.long.count} longs`}>
+                      L ${formatCompact(stats.long.notional)}
+                    </span>
+                    <span className="green" title={`${stats.short.count} shorts`}>
+                      S ${formatCompact(stats.short.notional)}
+                    </span>
+                    <span className="liq-stat-max" title={stats.largest?.exchange || ""}>
+                      max ${formatCompact(stats.largest?.notional ?? 0)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="rows">
               {liquidations.slice(0, 14).map((row, idx) => (
-                <div className={`row ${row.side === "sell" ? "liq-sell" : "liq-buy"}`} key={`${row.ts}-${idx}`}>
+                <div
+                  className={`row liq-row ${row.side === "sell" ? "liq-sell" : "liq-buy"}`}
+                  key={`${row.exchangeId || "binance"}-${row.ts}-${idx}`}
+                >
+                  {row.logoUrl ? (
+                    <img className="logo" src={row.logoUrl} alt={row.exchange} title={row.exchange} />
+                  ) : (
+                    <span />
+                  )}
                   <span>{formatPrice(row.price)}</span>
                   <span>${formatCompact(row.notional)}</span>
                   <span>{new Date(row.ts).toLocaleTimeString("en-GB")}</span>
@@ -819,9 +1741,13 @@ function App() {
 
           <div className="meta-box">
             <div>Status: {status}</div>
+            <div className={priceFeed.feed !== "binance" || priceFeed.stale ? "feed-failover" : ""}>
+              Feed: {priceFeed.feed.toUpperCase()}
+              {priceFeed.feed !== "binance" ? " (failover)" : ""}
+              {priceFeed.stale ? " · stale" : ""}
+            </div>
             <div>Last tick: {lastTickTime ? lastTickTime.toLocaleTimeString("en-GB") : "--:--:--"}</div>
-            <div>Buy Vol: {formatCompact(lastBuyVolume)} BTC</div>
-            <div>Sell Vol: {formatCompact(lastSellVolume)} BTC</div>
+            <OrderFlowGauge flow={orderFlow} />
           </div>
         </aside>
       </div>
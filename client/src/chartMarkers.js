@@ -0,0 +1,114 @@
+const MIN_RADIUS = 3;
+const MAX_RADIUS = 22;
+const HIT_SLOP_PX = 2;
+
+const SIDE_COLORS = {
+  buy: "39, 216, 148",
+  sell: "255, 56, 95"
+};
+
+/** Bubble radius in px; grows with the square root of the notional. */
+export function markerRadius(notional) {
+  return Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, MIN_RADIUS + Math.sqrt(notional / 10_000)));
+}
+
+function visibleMarkers(chart) {
+  const items = chart.$markers?.items;
+  const xScale = chart.scales.x;
+  const yScale = chart.scales.y;
+  if (!items || items.length === 0 || !xScale || !yScale) {
+    return [];
+  }
+  const { chartArea } = chart;
+  return items
+    .map((marker) => ({
+      marker,
+      x: xScale.getPixelForValue(marker.ts),
+      y: yScale.getPixelForValue(marker.price),
+      r: markerRadius(marker.notional)
+    }))
+    .filter(
+      ({ x, y }) => x >= chartArea.left && x <= chartArea.right && y >= yScale.top && y <= yScale.bottom
+    );
+}
+
+function drawTooltip(ctx, chart, hovered) {
+  const lines = hovered.marker.lines ?? [];
+  if (lines.length === 0) {
+    return;
+  }
+  ctx.save();
+  ctx.font = "11px sans-serif";
+  const width = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 12;
+  const height = lines.length * 14 + 8;
+  const left = Math.min(hovered.x + hovered.r + 6, chart.chartArea.right - width);
+  const top = Math.max(chart.chartArea.top, hovered.y - height / 2);
+
+  ctx.fillStyle = "#101421";
+  ctx.strokeStyle = "rgba(255,255,255,0.2)";
+  ctx.fillRect(left, top, width, height);
+  ctx.strokeRect(left, top, width, height);
+  ctx.fillStyle = "#cbd5e1";
+  ctx.textBaseline = "top";
+  lines.forEach((line, idx) => ctx.fillText(line, left + 6, top + 4 + idx * 14));
+  ctx.restore();
+}
+
+/**
+ * Chart.js plugin that draws event bubbles over the candles. Reads
+ * `chart.$markers = { items }` where each item is
+ * `{ kind, side, ts, price, notional, lines }`: liquidations are filled,
+ * trades are rings, both colored by side and sized by notional. Hovering a
+ * bubble shows its `lines` as a tooltip.
+ */
+export const chartMarkersPlugin = {
+  id: "chartMarkers",
+  afterDatasetsDraw(chart) {
+    const markers = visibleMarkers(chart);
+    if (markers.length === 0) {
+      return;
+    }
+    const { ctx } = chart;
+    ctx.save();
+    for (const { marker, x, y, r } of markers) {
+      const color = SIDE_COLORS[marker.side] ?? SIDE_COLORS.buy;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      if (marker.kind === "liquidation") {
+        ctx.fillStyle = `rgba(${color}, 0.45)`;
+        ctx.fill();
+      }
+      ctx.lineWidth = marker.kind === "liquidation" ? 1 : 1.5;
+      ctx.strokeStyle = `rgba(${color}, 0.95)`;
+      ctx.stroke();
+    }
+    ctx.restore();
+  },
+
+  afterEvent(chart, args) {
+    const { event } = args;
+    let hovered = null;
+    if (event.type === "mousemove") {
+      hovered =
+        visibleMarkers(chart)
+          .reverse()
+          .find(({ x, y, r }) => Math.hypot(event.x - x, event.y - y) <= r + HIT_SLOP_PX) ?? null;
+    }
+    const marker = hovered?.marker ?? null;
+    if (marker !== (chart.$hoveredMarker ?? null)) {
+      chart.$hoveredMarker = marker;
+      args.changed = true;
+    }
+  },
+
+  afterDraw(chart) {
+    if (!chart.$hoveredMarker) {
+      return;
+    }
+    // Candles keep moving under the pointer, so the position is looked up again.
+    const hovered = visibleMarkers(chart).find(({ marker }) => marker === chart.$hoveredMarker);
+    if (hovered) {
+      drawTooltip(chart.ctx, chart, hovered);
+    }
+  }
+};
@@ -0,0 +1,95 @@
+const CVD_MARKETS = {
+  spot: { label: "CVD spot", color: "#2ee6d6" },
+  futures: { label: "CVD perp", color: "#ff9f43" }
+};
+
+/**
+ * Line datasets and the pane scale for the spot and perpetual CVD, drawn
+ * under the price like the indicator panes.
+ */
+export function createCvdPane() {
+  return {
+    datasets: Object.entries(CVD_MARKETS).map(([market, { label, color }]) => ({
+      type: "line",
+      label,
+      data: [],
+      yAxisID: "yCvd",
+      borderColor: color,
+      borderWidth: 1.2,
+      pointRadius: 0,
+      pointHitRadius: 0,
+      spanGaps: true,
+      $cvd: market
+    })),
+    scales: {
+      yCvd: {
+        position: "right",
+        weight: 6,
+        stack: "panes",
+        stackWeight: 1,
+        ticks: {
+          color: "#69738f",
+          maxTicksLimit: 3,
+          callback: (value) => value.toLocaleString("en-US", { notation: "compact", maximumFractionDigits: 1 })
+        },
+        grid: { color: "rgba(255,255,255,0.04)" }
+      }
+    }
+  };
+}
+
+/** Chart points from the `spot`/`futures` arrays of `/api/cvd`. */
+export function toCvdSeries(points) {
+  return Array.isArray(points)
+    ? points.map((point) => ({
+        x: Number(point.startTime),
+        delta: Number(point.delta) || 0,
+        y: Number(point.cvd) || 0
+      }))
+    : [];
+}
+
+/**
+ * Applies the `{ startTime, delta }` points of a `cvd` event. A known bucket
+ * takes the new delta and every later point moves by the difference; a
+ * newer bucket is appended on top of the last CVD value.
+ */
+export function applyCvdDeltas(series, points, maxItems) {
+  if (!Array.isArray(points)) {
+    return series;
+  }
+  let next = series;
+  for (const point of points) {
+    const x = Number(point.startTime);
+    const delta = Number(point.delta) || 0;
+    const idx = next.findIndex((item) => item.x === x);
+    if (idx >= 0) {
+      const shift = delta - next[idx].delta;
+      next = next.map((item, itemIdx) =>
+        itemIdx < idx ? item : { ...item, delta: itemIdx === idx ? delta : item.delta, y: item.y + shift }
+      );
+    } else if (next.length === 0 || x > next[next.length - 1].x) {
+      next = [...next, { x, delta, y: (next[next.length - 1]?.y ?? 0) + delta }];
+    }
+  }
+  return next.slice(-maxItems);
+}
+
+/**
+ * Copies `chart.$cvd` (`{ spot, futures }` series) into the CVD datasets
+ * right before every update, leaving out points older than the first candle.
+ */
+export const cvdPlugin = {
+  id: "cvd",
+  beforeUpdate(chart) {
+    if (!chart.$cvd) {
+      return;
+    }
+    const firstX = chart.data.datasets[0].data[0]?.x ?? -Infinity;
+    for (const dataset of chart.data.datasets) {
+      if (dataset.$cvd) {
+        dataset.data = (chart.$cvd[dataset.$cvd] ?? []).filter((point) => point.x >= firstX);
+      }
+    }
+  }
+};
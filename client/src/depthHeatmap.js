@@ -0,0 +1,81 @@
+// Resting size that maps to full opacity is taken from this percentile of
+// all bins, so one giant wall does not wash out everything else.
+const INTENSITY_PERCENTILE = 0.97;
+
+// Samples arrays are replaced, never mutated, when a sample arrives, so the
+// scale is computed once per array rather than on every draw.
+const scaleCache = new WeakMap();
+
+function intensityScale(samples) {
+  if (!scaleCache.has(samples)) {
+    scaleCache.set(samples, computeIntensityScale(samples));
+  }
+  return scaleCache.get(samples);
+}
+
+function computeIntensityScale(samples) {
+  const sizes = [];
+  for (const sample of samples) {
+    for (const level of sample.levels) {
+      sizes.push(level[1]);
+    }
+  }
+  if (sizes.length === 0) {
+    return 0;
+  }
+  sizes.sort((a, b) => a - b);
+  return sizes[Math.min(sizes.length - 1, Math.floor(sizes.length * INTENSITY_PERCENTILE))];
+}
+
+/**
+ * Chart.js plugin that paints the order book heatmap behind the candles.
+ * Reads `chart.$heatmap = { sampleMs, samples }`; every sample is one
+ * column that lasts until the next sample, every level one price bin.
+ */
+export const depthHeatmapPlugin = {
+  id: "depthHeatmap",
+  beforeDatasetsDraw(chart) {
+    const heatmap = chart.$heatmap;
+    const samples = heatmap?.samples;
+    if (!samples || samples.length === 0) {
+      return;
+    }
+
+    const { ctx, chartArea } = chart;
+    const xScale = chart.scales.x;
+    const yScale = chart.scales.y;
+    const scale = intensityScale(samples);
+    if (!xScale || !yScale || scale <= 0) {
+      return;
+    }
+
+    // The price scale may share the height with indicator panes.
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, yScale.top, chartArea.right - chartArea.left, yScale.bottom - yScale.top);
+    ctx.clip();
+
+    samples.forEach((sample, idx) => {
+      const endTs = samples[idx + 1]?.ts ?? sample.ts + heatmap.sampleMs;
+      const x0 = xScale.getPixelForValue(sample.ts);
+      const x1 = xScale.getPixelForValue(endTs);
+      if (x1 < chartArea.left || x0 > chartArea.right) {
+        return;
+      }
+      const width = Math.max(1, x1 - x0);
+
+      for (const [price, size] of sample.levels) {
+        const yTop = yScale.getPixelForValue(price + sample.binSize);
+        const yBottom = yScale.getPixelForValue(price);
+        if (yBottom < yScale.top || yTop > yScale.bottom) {
+          continue;
+        }
+        const alpha = Math.min(1, size / scale) * 0.6;
+        ctx.fillStyle = `rgba(255, 176, 46, ${alpha.toFixed(3)})`;
+        ctx.fillRect(x0, yTop, width, Math.max(1, yBottom - yTop));
+      }
+    });
+
+    ctx.restore();
+  }
+};
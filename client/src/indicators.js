@@ -0,0 +1,305 @@
+const DAY_MS = 24 * 60 * 60_000;
+const OVERLAY_COLORS = ["#f2d350", "#5ab0ff", "#c77dff", "#ff9f43", "#2ee6d6"];
+
+/*
+ * Every indicator is a `step(state, candle, volume) -> { state, value }`
+ * fold over the candles. States are never mutated, so the state after the
+ * last closed candle can be kept and only the open candle is recomputed.
+ */
+
+function emaStep(period) {
+  const k = 2 / (period + 1);
+  return (state, value) => {
+    const count = (state?.count ?? 0) + 1;
+    const ema = state ? value * k + state.ema * (1 - k) : value;
+    return { state: { ema, count }, value: count >= period ? ema : null };
+  };
+}
+
+function windowStep(period, reduce) {
+  return (state, candle) => {
+    const closes = [...(state ?? []), candle.c].slice(-period);
+    return { state: closes, value: closes.length >= period ? reduce(closes) : null };
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+const PRICE_PANE = "y";
+
+const INDICATORS = {
+  ema: {
+    pane: PRICE_PANE,
+    defaults: [20],
+    label: ([period]) => `EMA ${period}`,
+    step: ([period]) => {
+      const ema = emaStep(period);
+      return (state, candle) => ema(state, candle.c);
+    },
+    lines: [{}]
+  },
+  sma: {
+    pane: PRICE_PANE,
+    defaults: [20],
+    label: ([period]) => `SMA ${period}`,
+    step: ([period]) => windowStep(period, mean),
+    lines: [{}]
+  },
+  // Volume weighted average of the typical price, reset every UTC day.
+  vwap: {
+    pane: PRICE_PANE,
+    defaults: [],
+    label: () => "VWAP",
+    step: () => (state, candle, volume) => {
+      const session = Math.floor(candle.x / DAY_MS);
+      const base = state?.session === session ? state : { session, pv: 0, v: 0 };
+      const next = {
+        session,
+        pv: base.pv + ((candle.h + candle.l + candle.c) / 3) * volume,
+        v: base.v + volume
+      };
+      return { state: next, value: next.v > 0 ? next.pv / next.v : null };
+    },
+    lines: [{}]
+  },
+  bb: {
+    pane: PRICE_PANE,
+    defaults: [20, 2],
+    label: ([period, mult]) => `BB ${period} ${mult}`,
+    step: ([period, mult]) =>
+      windowStep(period, (closes) => {
+        const mid = mean(closes);
+        const sd = Math.sqrt(mean(closes.map((close) => (close - mid) ** 2)));
+        return { upper: mid + mult * sd, mid, lower: mid - mult * sd };
+      }),
+    lines: [
+      { pick: (value) => value?.upper, suffix: " upper", dashed: true },
+      { pick: (value) => value?.mid },
+      { pick: (value) => value?.lower, suffix: " lower", dashed: true }
+    ]
+  },
+  // Wilder's RSI.
+  rsi: {
+    pane: "yRsi",
+    defaults: [14],
+    label: ([period]) => `RSI ${period}`,
+    step: ([period]) => (state, candle) => {
+      if (!state) {
+        return { state: { prev: candle.c, avgGain: 0, avgLoss: 0, count: 0 }, value: null };
+      }
+      const change = candle.c - state.prev;
+      const gain = Math.max(0, change);
+      const loss = Math.max(0, -change);
+      const count = state.count + 1;
+      const smoothing = count <= period ? count : period;
+      const avgGain = (state.avgGain * (smoothing - 1) + gain) / smoothing;
+      const avgLoss = (state.avgLoss * (smoothing - 1) + loss) / smoothing;
+      const value = count < period ? null : avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+      return { state: { prev: candle.c, avgGain, avgLoss, count }, value };
+    },
+    lines: [{ color: "#c77dff" }]
+  },
+  macd: {
+    pane: "yMacd",
+    defaults: [12, 26, 9],
+    label: ([fast, slow, signal]) => `MACD ${fast} ${slow} ${signal}`,
+    step: ([fast, slow, signal]) => {
+      const fastEma = emaStep(fast);
+      const slowEma = emaStep(slow);
+      const signalEma = emaStep(signal);
+      return (state, candle) => {
+        const f = fastEma(state?.fast, candle.c);
+        const s = slowEma(state?.slow, candle.c);
+        const macd = s.value === null ? null : f.value - s.value;
+        const sig = macd === null ? { state: state?.signal, value: null } : signalEma(state?.signal, macd);
+        return {
+          state: { fast: f.state, slow: s.state, signal: sig.state },
+          value: {
+            macd,
+            signal: sig.value,
+            hist: macd === null || sig.value === null ? null : macd - sig.value
+          }
+        };
+      };
+    },
+    lines: [
+      { pick: (value) => value?.macd, color: "#5ab0ff" },
+      { pick: (value) => value?.signal, suffix: " signal", color: "#ff9f43" },
+      { pick: (value) => value?.hist, suffix: " hist", bar: true }
+    ]
+  }
+};
+
+/**
+ * Parses an indicator list such as `ema:20,ema:50,bb:20:2,rsi,macd`.
+ * Parameters left out fall back to the defaults; unknown names are skipped.
+ */
+export function parseIndicators(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter((item) => Object.hasOwn(INDICATORS, item.split(":")[0]))
+    .map((item) => {
+      const [type, ...raw] = item.split(":");
+      const params = INDICATORS[type].defaults.map((fallback, idx) => {
+        const value = Number(raw[idx]);
+        return value > 0 ? value : fallback;
+      });
+      return { type, params, label: INDICATORS[type].label(params) };
+    });
+}
+
+/**
+ * Keeps `step` folded over the last candles. Results are cached per candle
+ * object, so only candles that were replaced since the previous call (in
+ * practice the open one) are computed again.
+ */
+function createSeries(step) {
+  /** @type {Array<{candle:object,state:unknown,value:unknown}>} */
+  let closed = [];
+
+  return (candles, volumeAt) => {
+    const offset = closed.findIndex((entry) => entry.candle === candles[0]);
+    closed = offset === -1 ? [] : closed.slice(offset);
+    let kept = 0;
+    while (kept < closed.length && kept < candles.length - 1 && closed[kept].candle === candles[kept]) {
+      kept += 1;
+    }
+    closed.length = kept;
+
+    const values = closed.map((entry) => entry.value);
+    let state = kept > 0 ? closed[kept - 1].state : undefined;
+    for (let i = kept; i < candles.length; i += 1) {
+      const result = step(state, candles[i], volumeAt(candles[i].x));
+      if (i < candles.length - 1) {
+        closed.push({ candle: candles[i], state: result.state, value: result.value });
+      }
+      state = result.state;
+      values.push(result.value);
+    }
+    return values;
+  };
+}
+
+/** Scale id and options of each indicator pane. */
+const PANE_SCALES = {
+  yRsi: {
+    position: "right",
+    weight: 4,
+    stack: "panes",
+    stackWeight: 1,
+    min: 0,
+    max: 100,
+    afterBuildTicks: (scale) => {
+      scale.ticks = [30, 50, 70].map((value) => ({ value }));
+    },
+    ticks: { color: "#69738f" },
+    grid: { color: "rgba(255,255,255,0.08)" }
+  },
+  yMacd: {
+    position: "right",
+    weight: 5,
+    stack: "panes",
+    stackWeight: 1,
+    ticks: { color: "#69738f", maxTicksLimit: 3 },
+    grid: { color: "rgba(255,255,255,0.04)" }
+  }
+};
+
+/**
+ * Chart.js datasets and scales for an indicator list, plus `update(chart)`
+ * which recomputes them from the chart's candle (first) and buy/sell volume
+ * (second and third) datasets. RSI and MACD get their own panes under the
+ * price; `scales` is empty when no pane is needed.
+ */
+export function createIndicators(spec) {
+  const indicators = parseIndicators(spec);
+  const datasets = [];
+  const series = [];
+  let colorIdx = 0;
+
+  indicators.forEach((indicator, seriesIdx) => {
+    const definition = INDICATORS[indicator.type];
+    series.push(createSeries(definition.step(indicator.params)));
+    const baseColor =
+      definition.pane === PRICE_PANE ? OVERLAY_COLORS[colorIdx++ % OVERLAY_COLORS.length] : null;
+
+    for (const line of definition.lines) {
+      const color = line.color ?? baseColor;
+      const yAxisID = definition.pane;
+      datasets.push(
+        line.bar
+          ? {
+              type: "bar",
+              label: `${indicator.label}${line.suffix ?? ""}`,
+              data: [],
+              yAxisID,
+              backgroundColor: (ctx) =>
+                (ctx.raw?.y ?? 0) >= 0 ? "rgba(39, 216, 148, 0.5)" : "rgba(255, 56, 95, 0.5)",
+              borderWidth: 0,
+              $indicator: { seriesIdx, pick: line.pick }
+            }
+          : {
+              type: "line",
+              label: `${indicator.label}${line.suffix ?? ""}`,
+              data: [],
+              yAxisID,
+              borderColor: color,
+              borderWidth: 1.2,
+              borderDash: line.dashed ? [4, 3] : [],
+              pointRadius: 0,
+              pointHitRadius: 0,
+              spanGaps: true,
+              $indicator: { seriesIdx, pick: line.pick }
+            }
+      );
+    }
+  });
+
+  const panes = [...new Set(indicators.map((indicator) => INDICATORS[indicator.type].pane))].filter(
+    (pane) => pane !== PRICE_PANE
+  );
+
+  return {
+    datasets,
+    scales: Object.fromEntries(panes.map((pane) => [pane, PANE_SCALES[pane]])),
+
+    update(chart) {
+      if (series.length === 0) {
+        return;
+      }
+      const [candleSet, buySet, sellSet] = chart.data.datasets;
+      const candles = candleSet.data;
+      const volumes = new Map();
+      for (const point of buySet.data) {
+        volumes.set(point.x, Math.abs(point.y));
+      }
+      for (const point of sellSet.data) {
+        volumes.set(point.x, (volumes.get(point.x) ?? 0) + Math.abs(point.y));
+      }
+      const volumeAt = (x) => volumes.get(x) ?? 0;
+
+      const values = series.map((compute) => compute(candles, volumeAt));
+      for (const dataset of chart.data.datasets) {
+        if (!dataset.$indicator) {
+          continue;
+        }
+        const { seriesIdx, pick } = dataset.$indicator;
+        dataset.data = candles.map((candle, idx) => {
+          const value = pick ? pick(values[seriesIdx][idx]) : values[seriesIdx][idx];
+          return { x: candle.x, y: value ?? null };
+        });
+      }
+    }
+  };
+}
+
+/** Recomputes `chart.$indicators` right before every chart update. */
+export const indicatorsPlugin = {
+  id: "indicators",
+  beforeUpdate(chart) {
+    chart.$indicators?.update(chart);
+  }
+};
@@ -0,0 +1,125 @@
+// The longest bar takes this share of the chart width.
+const MAX_BAR_WIDTH_SHARE = 0.22;
+
+/**
+ * Profile state from a `/api/volume-profile` payload; null when nothing
+ * traded. The point of control and value area are the server's and stay
+ * as they are until the next payload.
+ */
+export function toVolumeProfile(payload) {
+  const rows = Array.isArray(payload?.rows) ? payload.rows : [];
+  const binSize = Number(payload?.binSize);
+  if (rows.length === 0 || !(binSize > 0)) {
+    return null;
+  }
+  const buy = rows.map((row) => Number(row.buyVolume) || 0);
+  const sell = rows.map((row) => Number(row.sellVolume) || 0);
+  return {
+    binSize,
+    base: Number(rows[0].price),
+    buy,
+    sell,
+    maxVolume: Math.max(...buy.map((value, idx) => value + sell[idx])),
+    poc: Number(payload.poc),
+    valueAreaLow: Number(payload.valueAreaLow),
+    valueAreaHigh: Number(payload.valueAreaHigh)
+  };
+}
+
+/**
+ * Adds one trade to the profile bars in place, growing them by whole bins
+ * when the price is outside.
+ */
+export function addTradeToProfile(profile, { price, qty, side }) {
+  if (!profile || !(price > 0) || !(qty > 0)) {
+    return profile;
+  }
+  let idx = Math.floor((price - profile.base) / profile.binSize);
+  if (idx < 0) {
+    profile.buy.unshift(...new Array(-idx).fill(0));
+    profile.sell.unshift(...new Array(-idx).fill(0));
+    profile.base -= -idx * profile.binSize;
+    idx = 0;
+  }
+  while (idx >= profile.buy.length) {
+    profile.buy.push(0);
+    profile.sell.push(0);
+  }
+  (side === "sell" ? profile.sell : profile.buy)[idx] += qty;
+  profile.maxVolume = Math.max(profile.maxVolume, profile.buy[idx] + profile.sell[idx]);
+  return profile;
+}
+
+function drawLevelLine(ctx, chartArea, y, color, dash, label) {
+  ctx.strokeStyle = color;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  ctx.moveTo(chartArea.left, y);
+  ctx.lineTo(chartArea.right, y);
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.fillText(label, chartArea.left + 4, y - 3);
+}
+
+/**
+ * Chart.js plugin that paints the volume profile as a horizontal histogram
+ * on the right edge of the price pane, behind the candles. Reads
+ * `chart.$volumeProfile = { profile }`; bars inside the value area are
+ * brighter, and the point of control and value area bounds get lines.
+ */
+export const volumeProfilePlugin = {
+  id: "volumeProfile",
+  beforeDatasetsDraw(chart) {
+    const profile = chart.$volumeProfile?.profile;
+    const yScale = chart.scales.y;
+    if (!profile || !(profile.maxVolume > 0) || !yScale) {
+      return;
+    }
+
+    const { ctx, chartArea } = chart;
+    const maxWidth = (chartArea.right - chartArea.left) * MAX_BAR_WIDTH_SHARE;
+    const priceAt = (idx) => profile.base + idx * profile.binSize;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, yScale.top, chartArea.right - chartArea.left, yScale.bottom - yScale.top);
+    ctx.clip();
+
+    profile.buy.forEach((buyVolume, idx) => {
+      const volume = buyVolume + profile.sell[idx];
+      if (volume <= 0) {
+        return;
+      }
+      const yTop = yScale.getPixelForValue(priceAt(idx + 1));
+      const yBottom = yScale.getPixelForValue(priceAt(idx));
+      if (yBottom < yScale.top || yTop > yScale.bottom) {
+        return;
+      }
+      const height = Math.max(1, yBottom - yTop - 1);
+      const width = (volume / profile.maxVolume) * maxWidth;
+      const buyWidth = (buyVolume / volume) * width;
+      const middle = priceAt(idx) + profile.binSize / 2;
+      const inValueArea = middle > profile.valueAreaLow && middle < profile.valueAreaHigh;
+      const alpha = inValueArea ? 0.5 : 0.2;
+      const x = chartArea.right - width;
+      ctx.fillStyle = `rgba(39, 216, 148, ${alpha})`;
+      ctx.fillRect(x, yTop, buyWidth, height);
+      ctx.fillStyle = `rgba(255, 56, 95, ${alpha})`;
+      ctx.fillRect(x + buyWidth, yTop, width - buyWidth, height);
+    });
+
+    ctx.font = "10px sans-serif";
+    ctx.lineWidth = 1;
+    const levels = [
+      ["VAH", profile.valueAreaHigh, "rgba(164, 174, 199, 0.6)", [2, 3]],
+      ["VAL", profile.valueAreaLow, "rgba(164, 174, 199, 0.6)", [2, 3]],
+      ["POC", profile.poc + profile.binSize / 2, "#f2d350", [6, 3]]
+    ];
+    for (const [name, price, color, dash] of levels) {
+      const label = `${name} ${price.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+      drawLevelLine(ctx, chartArea, yScale.getPixelForValue(price), color, dash, label);
+    }
+
+    ctx.restore();
+  }
+};
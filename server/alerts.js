@@ -0,0 +1,262 @@
+import { randomUUID } from "crypto";
+import { toNumber } from "./utils.js";
+
+const DEFAULT_COOLDOWN_MS = 60_000;
+const MAX_MOVE_MINUTES = 24 * 60;
+// `priceMove` rules compare against one price sample per second.
+const PRICE_SAMPLE_MS = 1_000;
+
+/** Rule types and the parameters each one needs. */
+export const ALERT_RULE_TYPES = {
+  // Price trades through `level` in either direction.
+  priceCross: ["level"],
+  // Price moves `pct` percent or more within `minutes`.
+  priceMove: ["pct", "minutes"],
+  // One liquidation of `minNotional` USDT or more.
+  liquidation: ["minNotional"],
+  // A resting order of `minSize` base asset or more on `side` ("bid" by default).
+  wall: ["minSize"]
+};
+
+function formatNumber(value) {
+  return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+/**
+ * Checks a rule posted to `/api/alerts` and fills in its defaults. Throws
+ * with a message for the client when a field is missing or out of range.
+ */
+export function normalizeAlertRule(input, symbols) {
+  const type = input?.type;
+  if (!Object.hasOwn(ALERT_RULE_TYPES, type)) {
+    throw new Error(`type must be one of ${Object.keys(ALERT_RULE_TYPES).join(", ")}`);
+  }
+  const symbol = String(input.symbol || symbols[0]).toUpperCase();
+  if (!symbols.includes(symbol)) {
+    throw new Error(`symbol must be one of ${symbols.join(", ")}`);
+  }
+
+  const rule = {
+    id: randomUUID(),
+    symbol,
+    type,
+    cooldownMs: Math.max(0, toNumber(input.cooldownMs ?? DEFAULT_COOLDOWN_MS)),
+    ...(input.note ? { note: String(input.note).slice(0, 200) } : {}),
+    createdAt: Date.now()
+  };
+  for (const field of ALERT_RULE_TYPES[type]) {
+    const value = toNumber(input[field]);
+    if (!(value > 0)) {
+      throw new Error(`${field} must be a positive number`);
+    }
+    rule[field] = value;
+  }
+  if (type === "priceMove" && rule.minutes > MAX_MOVE_MINUTES) {
+    throw new Error(`minutes must be at most ${MAX_MOVE_MINUTES}`);
+  }
+  if (type === "liquidation" || type === "wall") {
+    const sides = type === "wall" ? ["bid", "ask"] : ["buy", "sell"];
+    if (input.side !== undefined && !sides.includes(input.side)) {
+      throw new Error(`side must be one of ${sides.join(", ")}`);
+    }
+    if (type === "wall" || input.side !== undefined) {
+      rule.side = input.side ?? "bid";
+    }
+  }
+  return rule;
+}
+
+/**
+ * Evaluates alert rules against the live pipelines. Feed it trades,
+ * liquidations and merged top orders; `onAlert(alert)` is called for every
+ * rule that fires, at most once per rule `cooldownMs`.
+ */
+export function createAlertEngine({ onAlert }) {
+  /** @type {Map<string, object>} */
+  const rules = new Map();
+  /** @type {Map<string, number>} */
+  const lastFiredAt = new Map();
+  /** Wall keys each wall rule already fired for, so a standing wall fires once. */
+  const seenWalls = new Map();
+  /** Rules by `${symbol}|${type}`, rebuilt whenever the rules change. */
+  let rulesByKey = new Map();
+  /**
+   * Price samples per symbol; `offset` is the position of `samples[0]` since
+   * the track started, so read positions survive dropping old samples.
+   * @type {Map<string, {last:number|null,offset:number,samples:Array<{ts:number,price:number}>}>}
+   */
+  const prices = new Map();
+  /** Position of the oldest sample inside each `priceMove` rule's window. */
+  const moveCursors = new Map();
+
+  function coolingDown(rule, now) {
+    const last = lastFiredAt.get(rule.id);
+    return last !== undefined && now - last < rule.cooldownMs;
+  }
+
+  function fire(rule, message, value, now) {
+    if (coolingDown(rule, now)) {
+      return;
+    }
+    lastFiredAt.set(rule.id, now);
+    onAlert({
+      id: randomUUID(),
+      ruleId: rule.id,
+      symbol: rule.symbol,
+      type: rule.type,
+      message: rule.note ? `${message} (${rule.note})` : message,
+      value,
+      ts: now
+    });
+  }
+
+  function reindex() {
+    rulesByKey = new Map();
+    for (const rule of rules.values()) {
+      const key = `${rule.symbol}|${rule.type}`;
+      rulesByKey.set(key, [...(rulesByKey.get(key) ?? []), rule]);
+    }
+  }
+
+  function rulesFor(symbol, type) {
+    return rulesByKey.get(`${symbol}|${type}`) ?? [];
+  }
+
+  function priceTrack(symbol) {
+    let track = prices.get(symbol);
+    if (!track) {
+      track = { last: null, offset: 0, samples: [] };
+      prices.set(symbol, track);
+    }
+    return track;
+  }
+
+  return {
+    load(stored) {
+      for (const rule of stored) {
+        rules.set(rule.id, rule);
+      }
+      reindex();
+    },
+
+    list(symbol) {
+      return [...rules.values()].filter((rule) => !symbol || rule.symbol === symbol);
+    },
+
+    add(rule) {
+      rules.set(rule.id, rule);
+      reindex();
+    },
+
+    /** Removes a rule and returns it, or null when there is no such rule. */
+    remove(id) {
+      const rule = rules.get(id) ?? null;
+      lastFiredAt.delete(id);
+      seenWalls.delete(id);
+      moveCursors.delete(id);
+      rules.delete(id);
+      reindex();
+      return rule;
+    },
+
+    /** Uses the trade's own `ts`, so replays and simulations fire the same. */
+    onTrade(symbol, { price, ts }) {
+      const now = ts ?? Date.now();
+      const track = priceTrack(symbol);
+      const previous = track.last;
+      track.last = price;
+
+      for (const rule of rulesFor(symbol, "priceCross")) {
+        if (previous === null) {
+          continue;
+        }
+        if (previous < rule.level && price >= rule.level) {
+          fire(rule, `${symbol} crossed above ${formatNumber(rule.level)}`, price, now);
+        } else if (previous > rule.level && price <= rule.level) {
+          fire(rule, `${symbol} crossed below ${formatNumber(rule.level)}`, price, now);
+        }
+      }
+
+      const moveRules = rulesFor(symbol, "priceMove");
+      if (moveRules.length === 0) {
+        track.offset += track.samples.length;
+        track.samples = [];
+        return;
+      }
+      const lastSample = track.samples[track.samples.length - 1];
+      if (!lastSample || now - lastSample.ts >= PRICE_SAMPLE_MS) {
+        track.samples.push({ ts: now, price });
+      }
+
+      // Every rule's cursor only moves forward as samples leave its window,
+      // so a trade costs about one step per rule whatever the window length.
+      const end = track.offset + track.samples.length;
+      let oldest = end;
+      for (const rule of moveRules) {
+        const since = now - rule.minutes * 60_000;
+        let cursor = Math.max(moveCursors.get(rule.id) ?? track.offset, track.offset);
+        while (cursor < end && track.samples[cursor - track.offset].ts < since) {
+          cursor += 1;
+        }
+        moveCursors.set(rule.id, cursor);
+        oldest = Math.min(oldest, cursor);
+
+        const from = track.samples[cursor - track.offset];
+        const change = from ? ((price - from.price) / from.price) * 100 : 0;
+        if (Math.abs(change) >= rule.pct) {
+          const direction = change > 0 ? "up" : "down";
+          fire(
+            rule,
+            `${symbol} ${direction} ${Math.abs(change).toFixed(2)}% in ${rule.minutes}m`,
+            change,
+            now
+          );
+        }
+      }
+
+      // Samples no window reaches any more are dropped in batches.
+      const stale = oldest - track.offset;
+      if (stale > 0 && stale * 2 >= track.samples.length) {
+        track.samples.splice(0, stale);
+        track.offset = oldest;
+      }
+    },
+
+    onLiquidation(symbol, row, now = Date.now()) {
+      for (const rule of rulesFor(symbol, "liquidation")) {
+        if (row.notional >= rule.minNotional && (!rule.side || rule.side === row.side)) {
+          const position = row.side === "sell" ? "long" : "short";
+          fire(
+            rule,
+            `${symbol} ${position} liquidated: $${formatNumber(row.notional)} on ${row.exchange}`,
+            row.notional,
+            now
+          );
+        }
+      }
+    },
+
+    /** `rows` are the merged top buyers ("bid") or top sellers ("ask"). */
+    onTopOrders(symbol, side, rows, now = Date.now()) {
+      for (const rule of rulesFor(symbol, "wall")) {
+        // Walls that show up during the cooldown stay unseen until the rule
+        // can fire again.
+        if (rule.side !== side || coolingDown(rule, now)) {
+          continue;
+        }
+        const walls = rows.filter((row) => row.size >= rule.minSize);
+        const seen = seenWalls.get(rule.id) ?? new Set();
+        const fresh = walls.find((row) => !seen.has(`${row.exchangeId}|${row.price}`));
+        seenWalls.set(rule.id, new Set(walls.map((row) => `${row.exchangeId}|${row.price}`)));
+        if (fresh) {
+          fire(
+            rule,
+            `${symbol} ${side} wall ${formatNumber(fresh.size)} at ${formatNumber(fresh.price)} on ${fresh.exchange}`,
+            fresh.size,
+            now
+          );
+        }
+      }
+    }
+  };
+}
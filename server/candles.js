@@ -0,0 +1,227 @@
+export const MINUTE_MS = 60_000;
+
+/** Higher timeframes built from the 1m stream, keyed by Binance interval name. */
+export const TIMEFRAMES = {
+  "5m": 5 * MINUTE_MS,
+  "15m": 15 * MINUTE_MS,
+  "1h": 60 * MINUTE_MS,
+  "4h": 4 * 60 * MINUTE_MS,
+  "1d": 24 * 60 * MINUTE_MS
+};
+
+export function bucketStart(ts, intervalMs) {
+  return Math.floor(ts / intervalMs) * intervalMs;
+}
+
+function combineMinutes(startTime, intervalMs, minutes) {
+  const first = minutes[0];
+  const last = minutes[minutes.length - 1];
+  const candle = {
+    startTime,
+    open: first.open,
+    high: first.high,
+    low: first.low,
+    close: last.close,
+    volume: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    isClosed: last.isClosed && last.startTime + MINUTE_MS >= startTime + intervalMs
+  };
+
+  for (const minute of minutes) {
+    candle.high = Math.max(candle.high, minute.high);
+    candle.low = Math.min(candle.low, minute.low);
+    candle.volume += minute.volume;
+    candle.buyVolume += minute.buyVolume || 0;
+    candle.sellVolume += minute.sellVolume || 0;
+  }
+
+  return candle;
+}
+
+/**
+ * Builds one higher timeframe out of 1m candles. Only buckets starting at or
+ * after `liveStart` are rebuilt from minutes; older buckets keep whatever
+ * `seed` loaded, because their minutes are not all in memory. The minutes of
+ * a bucket are dropped once a bucket two intervals newer opens; a minute for
+ * a dropped bucket is ignored so the finished candle is not rebuilt from a
+ * partial set of minutes. Without a `seed`, the bucket of the first minute
+ * misses the minutes before it and is marked `partial`.
+ */
+export function createTimeframeAggregator(intervalMs, maxCandles) {
+  /** @type {Array<{startTime:number,open:number,high:number,low:number,close:number,volume:number,buyVolume:number,sellVolume:number,isClosed:boolean}>} */
+  let candles = [];
+  /** Minutes of every live bucket, oldest first. @type {Map<number, Array<object>>} */
+  const minutesByBucket = new Map();
+  let liveStart = null;
+  let partialStart = null;
+  let newestStart = -Infinity;
+
+  function upsert(candle) {
+    const idx = candles.findIndex((item) => item.startTime === candle.startTime);
+    if (idx >= 0) {
+      candles[idx] = candle;
+    } else {
+      candles.push(candle);
+      candles.sort((a, b) => a.startTime - b.startTime);
+      candles = candles.slice(-maxCandles);
+    }
+  }
+
+  return {
+    get candles() {
+      return candles;
+    },
+
+    /**
+     * Loads finished buckets from the exchange and marks `fromTime` as the
+     * first bucket that will be rebuilt from minutes.
+     */
+    seed(history, fromTime) {
+      liveStart = bucketStart(fromTime, intervalMs);
+      partialStart = null;
+      minutesByBucket.clear();
+      newestStart = -Infinity;
+      candles = history
+        .filter((candle) => candle.startTime < liveStart)
+        .sort((a, b) => a.startTime - b.startTime)
+        .slice(-maxCandles);
+    },
+
+    /**
+     * Returns the rebuilt bucket, or null when the minute is too old to use
+     * or its bucket's minutes were already dropped.
+     */
+    apply(minute) {
+      const start = bucketStart(minute.startTime, intervalMs);
+      if (liveStart === null) {
+        liveStart = start;
+        partialStart = minute.startTime > start ? start : null;
+      }
+      if (start < liveStart) {
+        return null;
+      }
+
+      let minutes = minutesByBucket.get(start);
+      if (!minutes) {
+        if (start < newestStart) {
+          return null;
+        }
+        newestStart = start;
+        minutes = [];
+        minutesByBucket.set(start, minutes);
+        for (const key of minutesByBucket.keys()) {
+          if (key < start - intervalMs) {
+            minutesByBucket.delete(key);
+          }
+        }
+      }
+      // Minutes come in order: the open minute is updated or a new one is
+      // appended. Only a late minute needs a search.
+      const last = minutes[minutes.length - 1];
+      if (!last || minute.startTime > last.startTime) {
+        minutes.push(minute);
+      } else if (minute.startTime === last.startTime) {
+        minutes[minutes.length - 1] = minute;
+      } else {
+        const idx = minutes.findIndex((item) => item.startTime >= minute.startTime);
+        minutes.splice(idx, minutes[idx].startTime === minute.startTime ? 1 : 0, minute);
+      }
+
+      const candle = combineMinutes(start, intervalMs, minutes);
+      if (start === partialStart) {
+        candle.partial = true;
+      }
+      upsert(candle);
+      return candle;
+    }
+  };
+}
+
+/**
+ * Parses a sub-minute interval such as "10s". Only intervals that divide a
+ * minute evenly are accepted so buckets line up with the 1m candles.
+ */
+export function parseSubMinuteInterval(value) {
+  const match = /^(\d+)s$/.exec(String(value).trim());
+  const seconds = match ? Number(match[1]) : 0;
+  if (seconds <= 0 || 60 % seconds !== 0 || seconds === 60) {
+    return null;
+  }
+  return seconds * 1_000;
+}
+
+/**
+ * OHLCV buckets built straight from trades, with taker buy and sell volume
+ * split out. Keeps the last `maxCandles` buckets as a ring buffer.
+ */
+export function createTradeAggregator(intervalMs, maxCandles) {
+  /** @type {Array<{startTime:number,open:number,high:number,low:number,close:number,volume:number,buyVolume:number,sellVolume:number,trades:number,isClosed:boolean}>} */
+  let candles = [];
+
+  return {
+    get candles() {
+      return candles;
+    },
+
+    /**
+     * Loads buckets fetched from the exchange in front of the ones built
+     * from trades, which win where both have the same bucket.
+     */
+    seed(history) {
+      const firstLive = candles[0]?.startTime ?? Infinity;
+      candles = [
+        ...history
+          .filter((candle) => candle.startTime < firstLive)
+          .sort((a, b) => a.startTime - b.startTime),
+        ...candles
+      ].slice(-maxCandles);
+    },
+
+    /**
+     * Adds a trade and returns the bucket it landed in, plus the previous
+     * bucket when this trade closed it.
+     */
+    apply(trade) {
+      const start = bucketStart(trade.ts, intervalMs);
+      const last = candles[candles.length - 1];
+
+      if (last && start < last.startTime) {
+        // Late trade for a bucket that was already closed and sent.
+        return { candle: null, closed: null };
+      }
+
+      if (last && last.startTime === start) {
+        last.high = Math.max(last.high, trade.price);
+        last.low = Math.min(last.low, trade.price);
+        last.close = trade.price;
+        last.volume += trade.qty;
+        last.buyVolume += trade.side === "buy" ? trade.qty : 0;
+        last.sellVolume += trade.side === "sell" ? trade.qty : 0;
+        last.trades += 1;
+        return { candle: last, closed: null };
+      }
+
+      const candle = {
+        startTime: start,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: trade.qty,
+        buyVolume: trade.side === "buy" ? trade.qty : 0,
+        sellVolume: trade.side === "sell" ? trade.qty : 0,
+        trades: 1,
+        isClosed: false
+      };
+      if (last) {
+        last.isClosed = true;
+      }
+      candles.push(candle);
+      if (candles.length > maxCandles) {
+        candles = candles.slice(-maxCandles);
+      }
+      return { candle, closed: last ?? null };
+    }
+  };
+}
@@ -0,0 +1,124 @@
+import { MINUTE_MS, bucketStart, createTradeAggregator } from "./candles.js";
+import { fetchFuturesKlines } from "./futures.js";
+
+/** Lookbacks of the order-flow meter. */
+export const ORDER_FLOW_WINDOWS = {
+  "10s": 10_000,
+  "1m": 60_000
+};
+const FLOW_BUCKET_MS = 1_000;
+
+/** Taker buy minus taker sell volume of every candle. */
+export function toDeltaPoints(candles) {
+  return candles.map((candle) => ({
+    startTime: candle.startTime,
+    delta: (candle.buyVolume || 0) - (candle.sellVolume || 0)
+  }));
+}
+
+/** Cumulative volume delta of a candle series, starting from its first candle. */
+export function toCvdPoints(candles) {
+  let cvd = 0;
+  return toDeltaPoints(candles).map((point) => {
+    cvd += point.delta;
+    return { ...point, cvd };
+  });
+}
+
+/**
+ * Taker buy/sell volume and trade count in one-second buckets, summed over
+ * each ORDER_FLOW_WINDOWS lookback. Buckets follow the time trades are
+ * received so the trade rate is not skewed by exchange clocks.
+ */
+export function createOrderFlowMeter() {
+  const maxWindowMs = Math.max(...Object.values(ORDER_FLOW_WINDOWS));
+  /** @type {Array<{ts:number,buyVolume:number,sellVolume:number,trades:number}>} */
+  let buckets = [];
+
+  return {
+    add({ qty, side }, count = 1, now = Date.now()) {
+      const start = bucketStart(now, FLOW_BUCKET_MS);
+      let bucket = buckets[buckets.length - 1];
+      if (!bucket || bucket.ts !== start) {
+        bucket = { ts: start, buyVolume: 0, sellVolume: 0, trades: 0 };
+        buckets = buckets.filter((item) => item.ts > start - maxWindowMs);
+        buckets.push(bucket);
+      }
+      bucket[side === "sell" ? "sellVolume" : "buyVolume"] += qty;
+      bucket.trades += count;
+    },
+
+    /** `imbalance` is the delta over the total volume, from -1 (all sells) to 1. */
+    snapshot(now = Date.now()) {
+      return Object.fromEntries(
+        Object.entries(ORDER_FLOW_WINDOWS).map(([window, windowMs]) => {
+          const from = bucketStart(now, FLOW_BUCKET_MS) - windowMs;
+          let buyVolume = 0;
+          let sellVolume = 0;
+          let trades = 0;
+          for (const bucket of buckets) {
+            if (bucket.ts > from) {
+              buyVolume += bucket.buyVolume;
+              sellVolume += bucket.sellVolume;
+              trades += bucket.trades;
+            }
+          }
+          const total = buyVolume + sellVolume;
+          return [
+            window,
+            {
+              buyVolume,
+              sellVolume,
+              delta: buyVolume - sellVolume,
+              imbalance: total > 0 ? (buyVolume - sellVolume) / total : 0,
+              trades,
+              tradesPerSec: trades / (windowMs / 1_000)
+            }
+          ];
+        })
+      );
+    }
+  };
+}
+
+/**
+ * Taker buy/sell volume of the Binance perpetual per interval. Buckets are
+ * built from the futures trade stream; `seed()` backfills the intervals
+ * Binance has klines for (1m and up).
+ */
+export function createFuturesDelta(symbol, intervals, maxCandles) {
+  const series = Object.fromEntries(
+    Object.entries(intervals).map(([interval, intervalMs]) => [
+      interval,
+      createTradeAggregator(intervalMs, maxCandles)
+    ])
+  );
+  let seeded = false;
+
+  return {
+    get seeded() {
+      return seeded;
+    },
+
+    candles(interval) {
+      return Object.hasOwn(series, interval) ? series[interval].candles : null;
+    },
+
+    apply(trade) {
+      for (const aggregator of Object.values(series)) {
+        aggregator.apply(trade);
+      }
+    },
+
+    async seed() {
+      await Promise.all(
+        Object.entries(intervals)
+          .filter(([, intervalMs]) => intervalMs >= MINUTE_MS)
+          .map(async ([interval]) => {
+            series[interval].seed(await fetchFuturesKlines(symbol, interval, maxCandles));
+          })
+      );
+      seeded = true;
+    }
+  };
+}
@@ -0,0 +1,188 @@
+import { upstreamFetch } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+function toLevels(rawLevels) {
+  return (Array.isArray(rawLevels) ? rawLevels : [])
+    .map((item) => [toNumber(item[0]), toNumber(item[1])])
+    .filter(([price, size]) => price > 0 && size > 0);
+}
+
+/**
+ * Order book sources. Every adapter maps a base/quote pair to the exchange's
+ * own symbol, builds its depth URL and normalizes the response into
+ * `{ bids, asks }` as `[price, size]` number pairs.
+ */
+export const EXCHANGE_ADAPTERS = {
+  binance: {
+    id: "binance",
+    name: "Binance",
+    logoUrl: "https://cdn.simpleicons.org/binance/F0B90B",
+    toSymbol: (base, quote) => `${base}${quote}`,
+    depthUrl: (symbol, depth) =>
+      `https://api.binance.com/api/v3/depth?symbol=${symbol}&limit=${depth}`,
+    normalizeBook: (json) => ({ bids: toLevels(json?.bids), asks: toLevels(json?.asks) })
+  },
+  bybit: {
+    id: "bybit",
+    name: "Bybit",
+    logoUrl: "https://cdn.simpleicons.org/bybit/F7A600",
+    toSymbol: (base, quote) => `${base}${quote}`,
+    depthUrl: (symbol, depth) =>
+      `https://api.bybit.com/v5/market/orderbook?category=spot&symbol=${symbol}&limit=${depth}`,
+    normalizeBook: (json) => ({ bids: toLevels(json?.result?.b), asks: toLevels(json?.result?.a) })
+  },
+  okx: {
+    id: "okx",
+    name: "OKX",
+    logoUrl: "https://cdn.simpleicons.org/okx/ffffff",
+    toSymbol: (base, quote) => `${base}-${quote}`,
+    depthUrl: (symbol, depth) => `https://www.okx.com/api/v5/market/books?instId=${symbol}&sz=${depth}`,
+    normalizeBook: (json) => ({
+      bids: toLevels(json?.data?.[0]?.bids),
+      asks: toLevels(json?.data?.[0]?.asks)
+    })
+  },
+  kucoin: {
+    id: "kucoin",
+    name: "KuCoin",
+    logoUrl: "https://cdn.simpleicons.org/kucoin/14BE8A",
+    toSymbol: (base, quote) => `${base}-${quote}`,
+    depthUrl: (symbol, depth) =>
+      `https://api.kucoin.com/api/v1/market/orderbook/level2_${depth > 20 ? 100 : 20}?symbol=${symbol}`,
+    normalizeBook: (json) => ({ bids: toLevels(json?.data?.bids), asks: toLevels(json?.data?.asks) })
+  },
+  coinbase: {
+    id: "coinbase",
+    name: "Coinbase",
+    logoUrl: "https://cdn.simpleicons.org/coinbase/0052FF",
+    toSymbol: (base, quote) => `${base}-${quote}`,
+    depthUrl: (symbol) => `https://api.exchange.coinbase.com/products/${symbol}/book?level=2`,
+    normalizeBook: (json) => ({ bids: toLevels(json?.bids), asks: toLevels(json?.asks) })
+  },
+  kraken: {
+    id: "kraken",
+    name: "Kraken",
+    logoUrl: "https://www.kraken.com/favicon.ico",
+    toSymbol: (base, quote) => `${base === "BTC" ? "XBT" : base}${quote}`,
+    depthUrl: (symbol, depth) => `https://api.kraken.com/0/public/Depth?pair=${symbol}&count=${depth}`,
+    normalizeBook: (json) => {
+      if (Array.isArray(json?.error) && json.error.length > 0) {
+        throw new Error(json.error.join(", "));
+      }
+      // The result is keyed by Kraken's internal pair name, e.g. "XBTUSDT".
+      const book = Object.values(json?.result ?? {})[0];
+      return { bids: toLevels(book?.bids), asks: toLevels(book?.asks) };
+    }
+  },
+  bitfinex: {
+    id: "bitfinex",
+    name: "Bitfinex",
+    logoUrl: "https://www.bitfinex.com/favicon.ico",
+    toSymbol: (base, quote) => {
+      const bfxQuote = quote === "USDT" ? "UST" : quote;
+      return base.length > 3 ? `t${base}:${bfxQuote}` : `t${base}${bfxQuote}`;
+    },
+    depthUrl: (symbol, depth) =>
+      `https://api-pub.bitfinex.com/v2/book/${symbol}/P0?len=${depth > 25 ? 100 : 25}`,
+    normalizeBook: (json) => {
+      // Rows are [price, count, amount]; a negative amount is an ask.
+      const rows = Array.isArray(json) ? json : [];
+      return {
+        bids: toLevels(rows.filter((row) => toNumber(row[2]) > 0).map((row) => [row[0], row[2]])),
+        asks: toLevels(
+          rows.filter((row) => toNumber(row[2]) < 0).map((row) => [row[0], -toNumber(row[2])])
+        )
+      };
+    }
+  },
+  gateio: {
+    id: "gateio",
+    name: "Gate.io",
+    logoUrl: "https://www.gate.io/favicon.ico",
+    toSymbol: (base, quote) => `${base}_${quote}`,
+    depthUrl: (symbol, depth) =>
+      `https://api.gateio.ws/api/v4/spot/order_book?currency_pair=${symbol}&limit=${depth}`,
+    normalizeBook: (json) => ({ bids: toLevels(json?.bids), asks: toLevels(json?.asks) })
+  }
+};
+
+export const DEFAULT_EXCHANGE_IDS = ["binance", "bybit", "okx", "kucoin"];
+
+/**
+ * KuCoin hands out a short-lived token and endpoint for every public
+ * WebSocket connection.
+ */
+export async function fetchKucoinPublicEndpoint() {
+  const res = await upstreamFetch("https://api.kucoin.com/api/v1/bullet-public", { method: "POST" });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+  const json = await res.json();
+  const token = json?.data?.token;
+  const endpoint = json?.data?.instanceServers?.[0]?.endpoint;
+  if (!token || !endpoint) {
+    throw new Error("KuCoin bullet-public returned invalid payload");
+  }
+  return `${endpoint}?token=${token}&connectId=${Date.now()}`;
+}
+
+/**
+ * Creates the set of enabled adapters and tracks the last fetch result of
+ * every adapter and pair.
+ */
+export function createExchangeRegistry(enabledIds = DEFAULT_EXCHANGE_IDS) {
+  const adapters = [];
+  for (const id of enabledIds) {
+    if (!Object.hasOwn(EXCHANGE_ADAPTERS, id)) {
+      console.warn(`Unknown exchange "${id}" ignored.`);
+      continue;
+    }
+    adapters.push(EXCHANGE_ADAPTERS[id]);
+  }
+
+  /** @type {Map<string, {exchangeId:string,symbol:string,status:string,error?:string,updatedAt:number}>} */
+  const statusByKey = new Map();
+
+  function setStatus(adapter, symbol, status, error) {
+    statusByKey.set(`${adapter.id}:${symbol}`, {
+      exchangeId: adapter.id,
+      symbol,
+      status,
+      ...(error ? { error } : {}),
+      updatedAt: Date.now()
+    });
+  }
+
+  return {
+    adapters,
+
+    /**
+     * Fetches and normalizes one book. Bids are sorted best first, asks
+     * cheapest first, each side cut to `depth` levels.
+     */
+    async fetchBook(adapter, baseAsset, quoteAsset, depth) {
+      const symbol = adapter.toSymbol(baseAsset, quoteAsset);
+      try {
+        const res = await upstreamFetch(adapter.depthUrl(symbol, depth));
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const book = adapter.normalizeBook(await res.json());
+        setStatus(adapter, symbol, "ok");
+        return {
+          bids: book.bids.sort((a, b) => b[0] - a[0]).slice(0, depth),
+          asks: book.asks.sort((a, b) => a[0] - b[0]).slice(0, depth)
+        };
+      } catch (error) {
+        setStatus(adapter, symbol, "error", error.message || "unknown");
+        throw error;
+      }
+    },
+
+    setStatus,
+
+    getStatus() {
+      return [...statusByKey.values()];
+    }
+  };
+}
@@ -0,0 +1,171 @@
+import { upstreamFetch } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+const BINANCE_FUTURES_URL = "https://fapi.binance.com";
+// Open interest history and the long/short ratio only move every 5 minutes.
+const SLOW_REFRESH_MS = 5 * 60_000;
+const OPEN_INTEREST_HISTORY_LIMIT = 289;
+
+/** Open interest change is reported over these lookbacks. */
+export const OPEN_INTEREST_CHANGE_WINDOWS = {
+  "1h": 60 * 60_000,
+  "4h": 4 * 60 * 60_000,
+  "24h": 24 * 60 * 60_000
+};
+
+async function fetchJson(path) {
+  const res = await upstreamFetch(`${BINANCE_FUTURES_URL}${path}`);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * USDⓈ-M klines with the taker buy/sell split, in the shape of the spot
+ * candles.
+ */
+export async function fetchFuturesKlines(symbol, interval, limit) {
+  const rows = await fetchJson(`/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`);
+  const now = Date.now();
+  return (Array.isArray(rows) ? rows : []).map((entry) => {
+    const volume = toNumber(entry[5]);
+    const buyVolume = toNumber(entry[9]);
+    return {
+      startTime: toNumber(entry[0]),
+      open: toNumber(entry[1]),
+      high: toNumber(entry[2]),
+      low: toNumber(entry[3]),
+      close: toNumber(entry[4]),
+      volume,
+      buyVolume,
+      sellVolume: Math.max(0, volume - buyVolume),
+      trades: toNumber(entry[8]),
+      isClosed: toNumber(entry[6]) < now
+    };
+  });
+}
+
+function percentChange(from, to) {
+  return from > 0 ? ((to - from) / from) * 100 : null;
+}
+
+/**
+ * Derivatives context for one Binance USDⓈ-M perpetual: mark/index price
+ * and funding from `premiumIndex`, live open interest, its change against
+ * the 5m open interest history, and the top-trader long/short position
+ * ratio. `refresh()` returns the merged metrics; a failing endpoint keeps
+ * its previous values and is listed in `errors`. `updatedAt` only moves
+ * when at least one endpoint answered.
+ */
+export function createFuturesTracker(symbol) {
+  let metrics = { symbol, updatedAt: null };
+  /** @type {Array<{ts:number,openInterest:number,openInterestValue:number}>} */
+  let openInterestHistory = [];
+  let lastSlowRefreshAt = 0;
+
+  async function refreshFast() {
+    const [premium, openInterest] = await Promise.allSettled([
+      fetchJson(`/fapi/v1/premiumIndex?symbol=${symbol}`),
+      fetchJson(`/fapi/v1/openInterest?symbol=${symbol}`)
+    ]);
+    const errors = [];
+
+    if (premium.status === "fulfilled") {
+      const markPrice = toNumber(premium.value.markPrice);
+      const indexPrice = toNumber(premium.value.indexPrice);
+      Object.assign(metrics, {
+        markPrice,
+        indexPrice,
+        basisPct: percentChange(indexPrice, markPrice),
+        fundingRate: toNumber(premium.value.lastFundingRate),
+        nextFundingTime: toNumber(premium.value.nextFundingTime) || null
+      });
+    } else {
+      errors.push(`premiumIndex: ${premium.reason?.message}`);
+    }
+
+    if (openInterest.status === "fulfilled") {
+      metrics.openInterest = toNumber(openInterest.value.openInterest);
+    } else {
+      errors.push(`openInterest: ${openInterest.reason?.message}`);
+    }
+    return errors;
+  }
+
+  async function refreshSlow() {
+    const [history, ratio] = await Promise.allSettled([
+      fetchJson(
+        `/futures/data/openInterestHist?symbol=${symbol}&period=5m&limit=${OPEN_INTEREST_HISTORY_LIMIT}`
+      ),
+      fetchJson(`/futures/data/topLongShortPositionRatio?symbol=${symbol}&period=5m&limit=1`)
+    ]);
+    const errors = [];
+
+    if (history.status === "fulfilled" && Array.isArray(history.value)) {
+      openInterestHistory = history.value
+        .map((row) => ({
+          ts: toNumber(row.timestamp),
+          openInterest: toNumber(row.sumOpenInterest),
+          openInterestValue: toNumber(row.sumOpenInterestValue)
+        }))
+        .sort((a, b) => a.ts - b.ts);
+    } else if (history.status === "rejected") {
+      errors.push(`openInterestHist: ${history.reason?.message}`);
+    }
+
+    if (ratio.status === "fulfilled" && Array.isArray(ratio.value) && ratio.value[0]) {
+      const row = ratio.value[ratio.value.length - 1];
+      Object.assign(metrics, {
+        longShortRatio: toNumber(row.longShortRatio),
+        longAccount: toNumber(row.longAccount),
+        shortAccount: toNumber(row.shortAccount)
+      });
+    } else if (ratio.status === "rejected") {
+      errors.push(`topLongShortPositionRatio: ${ratio.reason?.message}`);
+    }
+    return errors;
+  }
+
+  function openInterestChange(now) {
+    const current = metrics.openInterest;
+    return Object.fromEntries(
+      Object.entries(OPEN_INTEREST_CHANGE_WINDOWS).map(([window, windowMs]) => {
+        const target = now - windowMs;
+        // Oldest sample that is still inside the window.
+        const past = openInterestHistory.find((row) => row.ts >= target);
+        return [window, past && current ? percentChange(past.openInterest, current) : null];
+      })
+    );
+  }
+
+  return {
+    get metrics() {
+      return metrics;
+    },
+
+    async refresh() {
+      const now = Date.now();
+      const errors = await refreshFast();
+      let attempted = 2;
+      if (now - lastSlowRefreshAt >= SLOW_REFRESH_MS) {
+        attempted += 2;
+        const slowErrors = await refreshSlow();
+        if (slowErrors.length === 0) {
+          lastSlowRefreshAt = now;
+        }
+        errors.push(...slowErrors);
+      }
+
+      metrics = {
+        ...metrics,
+        openInterestValue:
+          metrics.openInterest && metrics.markPrice ? metrics.openInterest * metrics.markPrice : null,
+        openInterestChange: openInterestChange(now),
+        errors,
+        updatedAt: errors.length < attempted ? now : metrics.updatedAt
+      };
+      return metrics;
+    }
+  };
+}
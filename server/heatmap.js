@@ -0,0 +1,39 @@
+/** Rounds a raw step up to 1, 2 or 5 times a power of ten. */
+export function niceStep(value) {
+  if (!(value > 0)) {
+    return 1;
+  }
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const normalized = value / magnitude;
+  const factor = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return factor * magnitude;
+}
+
+/**
+ * Sums the resting size of several books into fixed price bins around the
+ * mid price. `binBps` sets the bin width in basis points of the mid price
+ * (rounded to a nice step) and `rangePct` how far from mid bins are kept.
+ * Returns `{ binSize, levels }` with `levels` as `[binLowPrice, size]`,
+ * lowest price first.
+ */
+export function binBookLevels(books, midPrice, { binBps, rangePct }) {
+  const binSize = niceStep((midPrice * binBps) / 10_000);
+  const low = midPrice * (1 - rangePct / 100);
+  const high = midPrice * (1 + rangePct / 100);
+  const bins = new Map();
+
+  for (const book of books) {
+    for (const [price, size] of [...book.bids, ...book.asks]) {
+      if (price < low || price > high) {
+        continue;
+      }
+      const bin = Math.floor(price / binSize) * binSize;
+      bins.set(bin, (bins.get(bin) ?? 0) + size);
+    }
+  }
+
+  return {
+    binSize,
+    levels: [...bins].sort((a, b) => a[0] - b[0])
+  };
+}
@@ -1,25 +1,176 @@
 import express from "express";
 import cors from "cors";
 import { createServer } from "http";
+import path from "path";
+import { fileURLToPath } from "url";
 import { Server as SocketIOServer } from "socket.io";
 import WebSocket from "ws";
+import { createAlertEngine, normalizeAlertRule } from "./alerts.js";
+import {
+  MINUTE_MS,
+  TIMEFRAMES,
+  bucketStart,
+  createTimeframeAggregator,
+  createTradeAggregator,
+  parseSubMinuteInterval
+} from "./candles.js";
+import { createFuturesDelta, createOrderFlowMeter, toCvdPoints, toDeltaPoints } from "./cvd.js";
+import { DEFAULT_EXCHANGE_IDS, createExchangeRegistry } from "./exchanges.js";
+import { createFuturesTracker } from "./futures.js";
+import { binBookLevels } from "./heatmap.js";
+import {
+  DEFAULT_LIQUIDATION_EXCHANGE_IDS,
+  LIQUIDATION_STATS_WINDOWS,
+  LIQUIDATION_STREAMS,
+  createLiquidationStats,
+  startLiquidationStream
+} from "./liquidations.js";
+import { createNotifier, loadNotifierChannels } from "./notifier.js";
+import { ORDER_BOOK_STREAMS, startOrderBookStream } from "./orderbook.js";
+import { createRecorder, createReplay } from "./recorder.js";
+import { SIMULATOR_SCENARIOS, createSimulator, normalizeScenario } from "./simulator.js";
+import { createSourceRegistry } from "./sources.js";
+import { createStore } from "./storage.js";
+import {
+  FAILOVER_TRADE_STREAMS,
+  startFailoverTradeStream,
+  startFuturesTradeStream
+} from "./trades.js";
+import {
+  DEFAULT_TICKER_EXCHANGE_IDS,
+  TICKER_STREAMS,
+  computePriceIndex,
+  startTickerStream
+} from "./tickers.js";
+import {
+  recordUpstream,
+  setUpstreamRecorder,
+  setUpstreamStandIn,
+  upstreamFetch,
+  watchLiveness
+} from "./upstream.js";
+import { toNumber } from "./utils.js";
+import { computeVolumeProfile, createTradeProfile } from "./volumeProfile.js";
+import { createWallTracker } from "./walls.js";
+import { createWhaleDetector } from "./whales.js";
 
 const PORT = process.env.PORT || 3000;
-const SYMBOL = "BTCUSDT";
-const SYMBOL_LOWER = SYMBOL.toLowerCase();
-const BINANCE_WS_URL = `wss://stream.binance.com:9443/stream?streams=${SYMBOL_LOWER}@trade/${SYMBOL_LOWER}@kline_1m`;
-const BINANCE_FORCE_WS_URL = "wss://fstream.binance.com/ws/btcusdt@forceOrder";
-const BINANCE_KLINE_REST_URL = `https://api.binance.com/api/v3/klines?symbol=${SYMBOL}&interval=1m&limit=200`;
+// `--simulate` (or `SIMULATE=1`) runs on the built-in market simulator
+// instead of the exchanges; `--simulate=<scenario>` (or `SIMULATE=<scenario>`)
+// also plays a scenario, by built-in name or from a JSON file.
+const SIMULATE =
+  process.argv
+    .find((arg) => arg === "--simulate" || arg.startsWith("--simulate="))
+    ?.slice("--simulate=".length) ??
+  (process.env.SIMULATE || "0");
+const SIMULATE_SCENARIO =
+  SIMULATE === "0" ? null : SIMULATE === "" || SIMULATE === "1" ? "random" : SIMULATE;
+// Simulated and replayed candles are kept apart from the real ones. A
+// simulation wins over a replay, as it does for the upstream stand-in below.
+const DATA_DIR =
+  process.env.DATA_DIR ||
+  path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    SIMULATE_SCENARIO ? "data/simulated" : process.env.REPLAY ? "data/replay" : "data"
+  );
+const QUOTE_ASSET = "USDT";
+const SYMBOLS = [
+  ...new Set(
+    String(process.env.SYMBOLS || "BTCUSDT")
+      .split(",")
+      .map((item) => item.trim().toUpperCase())
+      .filter((item) => item.endsWith(QUOTE_ASSET) && item.length > QUOTE_ASSET.length)
+  )
+];
+if (SYMBOLS.length === 0) {
+  SYMBOLS.push("BTCUSDT");
+}
+const DEFAULT_SYMBOL = SYMBOLS[0];
+// `aggTrade` merges fills of one taker order at one price into a single message.
+const TRADE_STREAM = process.env.TRADE_STREAM === "aggTrade" ? "aggTrade" : "trade";
+const BINANCE_WS_URL = `wss://stream.binance.com:9443/stream?streams=${SYMBOLS.map(
+  (symbol) => `${symbol.toLowerCase()}@${TRADE_STREAM}/${symbol.toLowerCase()}@kline_1m`
+).join("/")}`;
+const BINANCE_KLINE_REST_URL = "https://api.binance.com/api/v3/klines";
 const MAX_CANDLES = 200;
+const MAX_HISTORY_PAGE = 1_000;
+const MAX_KLINES_PER_REQUEST = 1_000;
+const MAX_SUB_MINUTE_CANDLES = 240;
+const SUB_MINUTE_INTERVALS = Object.fromEntries(
+  String(process.env.SUB_MINUTE_INTERVALS || "10s")
+    .split(",")
+    .map((item) => [item.trim(), parseSubMinuteInterval(item)])
+    .filter(([, intervalMs]) => intervalMs !== null)
+);
+/** Every candle interval, and so every interval CVD is kept for. */
+const CVD_INTERVALS = { "1m": MINUTE_MS, ...TIMEFRAMES, ...SUB_MINUTE_INTERVALS };
+// Futures CVD needs the symbol to have a Binance USDⓈ-M perpetual.
+const CVD_FUTURES = process.env.CVD_FUTURES !== "0";
+const ORDER_FLOW_EMIT_MS = 1_000;
+// Trades feed the volume profile for this long; older time uses candles.
+const VOLUME_PROFILE_RETENTION_MS = 24 * 60 * MINUTE_MS;
+const VOLUME_PROFILE_ROWS = 60;
+const MAX_VOLUME_PROFILE_ROWS = 200;
 const TOP_BUYERS_LIMIT = 12;
-const MIN_TOP_BUYER_BTC = 0.1;
+const TOP_SELLERS_LIMIT = 12;
+const ORDER_BOOK_DEPTH = 50;
+// Streamed books hand out more levels than the top lists use so the heatmap
+// sees the wider book.
+const STREAMED_BOOK_DEPTH = 500;
+const HEATMAP_SAMPLE_MS = 15_000;
+const HEATMAP_MAX_SAMPLES = 480;
+const HEATMAP_BIN_BPS = 5;
+const HEATMAP_RANGE_PCT = 3;
+// Book levels below this many USDT stay out of the top buyers and sellers,
+// whatever the pair's base asset is worth.
+const TOP_ORDER_MIN_NOTIONAL = Math.max(0, toNumber(process.env.TOP_ORDER_MIN_NOTIONAL ?? 5_000));
+const WALL_MIN_NOTIONAL = Math.max(1, toNumber(process.env.WALL_MIN_NOTIONAL) || 250_000);
+const WALL_SPOOF_DISTANCE_PCT = 0.3;
+const MAX_RECENT_WALLS = 50;
 const MAX_LIQUIDATIONS = 30;
+const LIQUIDATION_STATS_EMIT_MS = 5_000;
+const WHALE_MIN_NOTIONAL = Math.max(0, toNumber(process.env.WHALE_MIN_NOTIONAL ?? 100_000));
+const WHALE_MERGE_MS = 500;
+const MAX_WHALE_TRADES = 50;
 const TOP_BUYERS_REFRESH_MS = 3_000;
+const TOP_BUYERS_EMIT_MS = 500;
+const ORDER_BOOK_STREAMING = process.env.ORDERBOOK_STREAMING !== "0";
+const TOP_BUYERS_PERSIST_MS = 60_000;
 const MARKETS_REFRESH_MS = 15_000;
 const FEAR_REFRESH_MS = 60_000;
+const FUTURES_REFRESH_MS = 15_000;
+const PRICE_INDEX_EMIT_MS = 1_000;
+const SOURCE_STATUS_EMIT_MS = 5_000;
+const NOTIFIER_CONFIG = process.env.NOTIFIER_CONFIG || "";
+// A new daily high/low is announced at most this often per symbol, and not
+// in the first hour of the UTC day when every tick is one.
+const DAILY_EXTREME_NOTIFY_MS = 15 * 60_000;
+const DAILY_RANGE_WARMUP_MS = 60 * 60_000;
 const RECONNECT_BASE_DELAY_MS = 1_000;
 const RECONNECT_MAX_DELAY_MS = 15_000;
 const HISTORY_SYNC_MS = 15_000;
+// Trades are treated as stalled after this long without one.
+const TRADE_STALE_MS = 10_000;
+// A symbol fails over after this long without any Binance message for it.
+// Its kline stream pushes every couple of seconds even when nothing trades,
+// so a quiet market on a healthy socket stays on Binance.
+const FEED_STALE_MS = 10_000;
+// Binance has to deliver messages for this long before the feed switches back.
+const FEED_RECOVERY_MS = 5_000;
+const FEED_WATCHDOG_MS = 1_000;
+const PRICE_FAILOVER_EXCHANGE = (process.env.PRICE_FAILOVER_EXCHANGE || "bybit").toLowerCase();
+// `RECORD_DIR` records every upstream message and REST response; `REPLAY`
+// (a recording file or directory) plays one back instead of connecting.
+const RECORD_DIR = process.env.RECORD_DIR || "";
+const RECORD_MAX_FILE_BYTES = (toNumber(process.env.RECORD_MAX_FILE_MB) || 100) * 1024 * 1024;
+const RECORD_MAX_FILES = Math.max(1, Math.floor(toNumber(process.env.RECORD_MAX_FILES)) || 48);
+const REPLAY_PATH = process.env.REPLAY || "";
+// `REPLAY_SPEED` is a multiplier of the recorded pace (1, 10, ...) or `max`.
+const REPLAY_SPEED =
+  process.env.REPLAY_SPEED === "max" ? Infinity : toNumber(process.env.REPLAY_SPEED) || 1;
+// The simulator only speaks Binance; other venues are left out unless listed.
+const SIMULATED_EXCHANGE_IDS = ["binance"];
+const SIMULATE_SEED = process.env.SIMULATE_SEED ? toNumber(process.env.SIMULATE_SEED) : undefined;
 const NASDAQ_100_SYMBOLS = [
   "AAPL","MSFT","NVDA","AMZN","GOOGL","GOOG","META","TSLA","AVGO","COST",
   "NFLX","ASML","AMD","PEP","ADBE","CSCO","TMUS","LIN","TXN","QCOM",
@@ -33,28 +184,39 @@ const NASDAQ_100_SYMBOLS = [
   "DXCM","TTD","ILMN","ARM","SMCI","SIRI","PDD","PYPL","AXON","ROP"
 ];
 
-const EXCHANGES = [
-  {
-    id: "binance",
-    name: "Binance",
-    logoUrl: "https://cdn.simpleicons.org/binance/F0B90B"
-  },
-  {
-    id: "bybit",
-    name: "Bybit",
-    logoUrl: "https://cdn.simpleicons.org/bybit/F7A600"
-  },
-  {
-    id: "okx",
-    name: "OKX",
-    logoUrl: "https://cdn.simpleicons.org/okx/ffffff"
-  },
-  {
-    id: "kucoin",
-    name: "KuCoin",
-    logoUrl: "https://cdn.simpleicons.org/kucoin/14BE8A"
+const exchangeRegistry = createExchangeRegistry(
+  process.env.ORDERBOOK_EXCHANGES
+    ? process.env.ORDERBOOK_EXCHANGES.split(",").map((item) => item.trim().toLowerCase())
+    : SIMULATE_SCENARIO
+      ? SIMULATED_EXCHANGE_IDS
+      : DEFAULT_EXCHANGE_IDS
+);
+const LIQUIDATION_EXCHANGE_IDS = (
+  process.env.LIQUIDATION_EXCHANGES
+    ? process.env.LIQUIDATION_EXCHANGES.split(",").map((item) => item.trim().toLowerCase())
+    : SIMULATE_SCENARIO
+      ? SIMULATED_EXCHANGE_IDS
+      : DEFAULT_LIQUIDATION_EXCHANGE_IDS
+).filter((id) => {
+  if (!Object.hasOwn(LIQUIDATION_STREAMS, id)) {
+    console.warn(`Unknown liquidation exchange "${id}" ignored.`);
+    return false;
   }
-];
+  return true;
+});
+const PRICE_INDEX_EXCHANGE_IDS = (
+  process.env.PRICE_INDEX_EXCHANGES
+    ? process.env.PRICE_INDEX_EXCHANGES.split(",").map((item) => item.trim().toLowerCase())
+    : SIMULATE_SCENARIO
+      ? SIMULATED_EXCHANGE_IDS
+      : DEFAULT_TICKER_EXCHANGE_IDS
+).filter((id) => {
+  if (!Object.hasOwn(TICKER_STREAMS, id)) {
+    console.warn(`Unknown price index exchange "${id}" ignored.`);
+    return false;
+  }
+  return true;
+});
 
 const app = express();
 app.use(cors());
@@ -64,75 +226,327 @@ const httpServer = createServer(app);
 const io = new SocketIOServer(httpServer, {
   cors: { origin: "*", methods: ["GET", "POST"] }
 });
+const store = createStore(DATA_DIR);
+const simulator = SIMULATE_SCENARIO
+  ? createSimulator({
+      symbols: SYMBOLS,
+      scenario: SIMULATE_SCENARIO,
+      tradeStream: TRADE_STREAM,
+      seed: SIMULATE_SEED
+    })
+  : null;
+const replay =
+  REPLAY_PATH && !simulator ? createReplay(REPLAY_PATH, { speed: REPLAY_SPEED }) : null;
+// Whichever stands in for the exchanges takes the sockets and REST requests.
+const standIn = simulator ?? replay;
+const recorder =
+  RECORD_DIR && !standIn
+    ? createRecorder({ dir: RECORD_DIR, maxFileBytes: RECORD_MAX_FILE_BYTES, maxFiles: RECORD_MAX_FILES })
+    : null;
+setUpstreamStandIn(standIn);
+setUpstreamRecorder(recorder);
+
+/**
+ * Everything that is tracked per trading pair. Each symbol gets its own
+ * Socket.IO room named after the symbol.
+ */
+function createSymbolState(symbol) {
+  return {
+    symbol,
+    baseAsset: symbol.slice(0, -QUOTE_ASSET.length),
+    /** @type {Array<{startTime:number,open:number,high:number,low:number,close:number,volume:number,buyVolume:number,sellVolume:number,isClosed:boolean}>} */
+    candles: [],
+    latestClose: null,
+    lastStoredCandleTime: 0,
+    timeframes: Object.fromEntries(
+      Object.entries(TIMEFRAMES).map(([interval, intervalMs]) => [
+        interval,
+        createTimeframeAggregator(intervalMs, MAX_CANDLES)
+      ])
+    ),
+    subMinute: Object.fromEntries(
+      Object.entries(SUB_MINUTE_INTERVALS).map(([interval, intervalMs]) => [
+        interval,
+        createTradeAggregator(intervalMs, MAX_SUB_MINUTE_CANDLES)
+      ])
+    ),
+    latestSecondPrice: null,
+    latestSecondTs: null,
+    lastSecondBucket: null,
+    /** @type {{dayStart:number,high:number,low:number,highNotifiedAt:number,lowNotifiedAt:number}|null} */
+    dailyRange: null,
+    /** Ids of the walls already sent to the notifier. */
+    notifiedWalls: new Set(),
+    /** Ids of the walls active at the previous refresh; null before the first. */
+    previousWalls: null,
+    /** Exchange whose trades currently drive the price: "binance" or the failover. */
+    priceFeed: "binance",
+    lastTradeAt: 0,
+    /** Last trade or kline message for this symbol on the Binance socket. */
+    lastBinanceMessageAt: 0,
+    binanceRecoveringSince: null,
+    /** @type {Array<{exchange:string,exchangeId:string,logoUrl:string,price:number,size:number,notional:number}>} */
+    topBuyers: [],
+    /** @type {Array<{exchange:string,status:string,error?:string}>} */
+    exchangeStatus: [],
+    /** @type {Map<string, {status:string,error?:string,book:{bids:Array<[number,number]>,asks:Array<[number,number]>}|null}>} */
+    books: new Map(),
+    /** @type {Array<{exchange:string,exchangeId:string,logoUrl:string,price:number,size:number,notional:number}>} */
+    topSellers: [],
+    topBuyersEmitTimer: null,
+    walls: createWallTracker({
+      minNotional: WALL_MIN_NOTIONAL,
+      spoofDistancePct: WALL_SPOOF_DISTANCE_PCT,
+      maxRecent: MAX_RECENT_WALLS
+    }),
+    /** @type {Array<{ts:number,binSize:number,levels:Array<[number,number]>}>} */
+    heatmap: [],
+    topBuyersUpdatedAt: null,
+    lastTopBuyersPersistAt: 0,
+    liquidations: [],
+    liquidationStats: createLiquidationStats(),
+    whales: createWhaleDetector({
+      minNotional: WHALE_MIN_NOTIONAL,
+      mergeWindowMs: WHALE_MERGE_MS
+    }),
+    whaleTrades: [],
+    futures: createFuturesTracker(symbol),
+    orderFlow: createOrderFlowMeter(),
+    tradeProfile: createTradeProfile(VOLUME_PROFILE_RETENTION_MS),
+    /** Perpetual taker delta per interval; null when futures CVD is off or unavailable. */
+    futuresDelta: CVD_FUTURES ? createFuturesDelta(symbol, CVD_INTERVALS, MAX_CANDLES) : null,
+    /** @type {Map<string, {price:number,quoteVolume:number,ts:number,receivedAt:number}>} */
+    tickers: new Map()
+  };
+}
+
+/** @type {Map<string, ReturnType<typeof createSymbolState>>} */
+const symbolStates = new Map(SYMBOLS.map((symbol) => [symbol, createSymbolState(symbol)]));
+
+const sources = createSourceRegistry();
+sources.define("markets", { label: "Markets", refreshMs: MARKETS_REFRESH_MS });
+sources.define("fearGreed", { label: "Fear & Greed", refreshMs: FEAR_REFRESH_MS });
+for (const symbol of SYMBOLS) {
+  sources.define("trades", { symbol, label: "Trades", refreshMs: TRADE_STALE_MS });
+  sources.define("candles", { symbol, label: "Candles", refreshMs: HISTORY_SYNC_MS });
+  sources.define("orderBook", { symbol, label: "Order books", refreshMs: TOP_BUYERS_REFRESH_MS });
+  sources.define("liquidations", { symbol, label: "Liquidations", refreshMs: SOURCE_STATUS_EMIT_MS });
+  sources.define("futures", { symbol, label: "Futures", refreshMs: FUTURES_REFRESH_MS });
+  sources.define("priceIndex", { symbol, label: "Price index", refreshMs: SOURCE_STATUS_EMIT_MS });
+  if (CVD_FUTURES) {
+    sources.define("futuresTrades", { symbol, label: "Futures trades", refreshMs: TRADE_STALE_MS });
+  }
+}
+
+const notifier = createNotifier();
+
+const alerts = createAlertEngine({
+  onAlert: (alert) => {
+    io.to(alert.symbol).emit("alert", alert);
+    notifier.notify("alert", alert);
+  }
+});
 
-/** @type {Array<{startTime:number,open:number,high:number,low:number,close:number,volume:number,isClosed:boolean}>} */
-let candles = [];
-let latestClose = null;
-let latestSecondPrice = null;
-let latestSecondTs = null;
-/** @type {Array<{exchange:string,exchangeId:string,logoUrl:string,price:number,size:number,notional:number}>} */
-let topBuyers = [];
-/** @type {Array<{exchange:string,status:string,error?:string}>} */
-let exchangeStatus = [];
-let topBuyersUpdatedAt = null;
-let liquidations = [];
 let markets = [];
 let fearGreed = null;
 let binanceSocket = null;
-let forceSocket = null;
 let reconnectAttempt = 0;
 let reconnectTimer = null;
-let forceReconnectAttempt = 0;
-let forceReconnectTimer = null;
+let lastBinanceMessageAt = 0;
+let feedWatchdogTimer = null;
+let failoverTradeStream = null;
+let futuresTradeStream = null;
+let orderFlowTimer = null;
+/** @type {Map<string, ReturnType<typeof startLiquidationStream>>} */
+const liquidationStreams = new Map();
 let historySyncTimer = null;
 let secondHeartbeatTimer = null;
 let topBuyersTimer = null;
+let heatmapTimer = null;
+let whaleFlushTimer = null;
+let liquidationStatsTimer = null;
+const orderBookStreams = [];
 let marketsTimer = null;
 let fearTimer = null;
-let lastSecondBucket = null;
+let futuresTimer = null;
+let priceIndexTimer = null;
+let sourceStatusTimer = null;
+/** @type {Map<string, ReturnType<typeof startTickerStream>>} */
+const tickerStreams = new Map();
 let isShuttingDown = false;
 
-function toNumber(value) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : 0;
+function getSymbolState(value) {
+  const symbol = String(value || DEFAULT_SYMBOL).trim().toUpperCase();
+  return symbolStates.get(symbol) || null;
 }
 
-function setCandles(nextCandles) {
-  candles = nextCandles
+function setCandles(state, nextCandles) {
+  state.candles = nextCandles
     .slice()
     .sort((a, b) => a.startTime - b.startTime)
     .slice(-MAX_CANDLES);
 
-  if (candles.length > 0) {
-    latestClose = candles[candles.length - 1].close;
+  if (state.candles.length > 0) {
+    state.latestClose = state.candles[state.candles.length - 1].close;
   }
 }
 
-function upsertCandle(candle) {
-  const idx = candles.findIndex((item) => item.startTime === candle.startTime);
+function upsertCandle(state, candle) {
+  const idx = state.candles.findIndex((item) => item.startTime === candle.startTime);
   if (idx >= 0) {
-    candles[idx] = candle;
+    state.candles[idx] = candle;
   } else {
-    candles.push(candle);
-    candles.sort((a, b) => a.startTime - b.startTime);
-    candles = candles.slice(-MAX_CANDLES);
+    state.candles.push(candle);
+    state.candles.sort((a, b) => a.startTime - b.startTime);
+    state.candles = state.candles.slice(-MAX_CANDLES);
   }
 
-  latestClose = candle.close;
+  state.latestClose = candle.close;
   return candle;
 }
 
-function emitSecondPrice(close, ts) {
-  latestSecondPrice = close;
-  latestSecondTs = ts;
+/**
+ * Appends closed candles that are newer than the last stored one. Candles
+ * are only written once they are closed, so the file never holds a partial
+ * minute.
+ */
+function persistClosedCandles(state, nextCandles) {
+  for (const candle of nextCandles) {
+    if (!candle.isClosed || candle.startTime <= state.lastStoredCandleTime) {
+      continue;
+    }
+    state.lastStoredCandleTime = candle.startTime;
+    store.appendCandle(state.symbol, candle);
+  }
+}
+
+async function loadPersistedState() {
+  await Promise.all(
+    [...symbolStates.values()].map(async (state) => {
+      try {
+        const [storedCandles, storedLiquidations, storedTopBuyers, storedWhaleTrades] =
+          await Promise.all([
+            store.loadCandles(state.symbol, MAX_CANDLES),
+            store.loadLiquidationsSince(
+              state.symbol,
+              Date.now() - LIQUIDATION_STATS_WINDOWS["24h"]
+            ),
+            store.loadLatestTopBuyers(state.symbol),
+            store.loadWhaleTrades(state.symbol, MAX_WHALE_TRADES)
+          ]);
+
+        setCandles(state, storedCandles);
+        state.lastStoredCandleTime = storedCandles[storedCandles.length - 1]?.startTime ?? 0;
+        state.liquidationStats.seed(storedLiquidations);
+        state.liquidations = storedLiquidations.slice(-MAX_LIQUIDATIONS).reverse();
+        state.whaleTrades = storedWhaleTrades.reverse();
+        if (storedTopBuyers) {
+          state.topBuyers = storedTopBuyers.rows ?? [];
+          state.topSellers = storedTopBuyers.sellers ?? [];
+          state.exchangeStatus = storedTopBuyers.exchanges ?? [];
+          state.topBuyersUpdatedAt = storedTopBuyers.updatedAt ?? null;
+        }
+      } catch (error) {
+        console.error(`Failed to load stored data for ${state.symbol}:`, error.message);
+      }
+    })
+  );
+
+  try {
+    alerts.load(await store.loadAlertRules());
+  } catch (error) {
+    console.error("Failed to load alert rules:", error.message);
+  }
+}
+
+function getCandleSeries(state, interval) {
+  if (interval === "1m") {
+    return state.candles;
+  }
+  if (Object.hasOwn(state.timeframes, interval)) {
+    return state.timeframes[interval].candles;
+  }
+  if (Object.hasOwn(state.subMinute, interval)) {
+    return state.subMinute[interval].candles;
+  }
+  return null;
+}
+
+/**
+ * Adds a trade to every sub-minute series. Buckets are sent as `kline`
+ * events once they close; clients build the open bucket from `trade` events.
+ */
+function applySubMinuteTrade(state, trade) {
+  for (const [interval, aggregator] of Object.entries(state.subMinute)) {
+    const { closed } = aggregator.apply(trade);
+    if (closed) {
+      io.to(state.symbol).emit("kline", { ...closed, interval });
+    }
+  }
+}
+
+function emitSecondPrice(state, close, ts) {
+  state.latestSecondPrice = close;
+  state.latestSecondTs = ts;
+  trackDailyRange(state, close, ts);
 
   const secondBucket = Math.floor(ts / 1_000);
-  if (secondBucket === lastSecondBucket) {
+  if (secondBucket === state.lastSecondBucket) {
+    return;
+  }
+  state.lastSecondBucket = secondBucket;
+
+  io.to(state.symbol).emit("price", getSecondPricePayload(state, close, ts));
+}
+
+/**
+ * Follows the UTC day's high and low and notifies when price breaks one.
+ * A new day starts from the Binance `1d` candle, so a restart does not
+ * announce the current price as a new extreme.
+ */
+function trackDailyRange(state, price, ts) {
+  const dayStart = bucketStart(ts, TIMEFRAMES["1d"]);
+  const range = state.dailyRange;
+  if (!range || range.dayStart !== dayStart) {
+    // A partial day candle misses the start of the day, so its range is not used.
+    const dayCandle = state.timeframes["1d"].candles.find(
+      (candle) => candle.startTime === dayStart && !candle.partial
+    );
+    state.dailyRange = {
+      dayStart,
+      high: Math.max(price, dayCandle?.high ?? price),
+      low: Math.min(price, dayCandle?.low ?? price),
+      highNotifiedAt: 0,
+      lowNotifiedAt: 0
+    };
     return;
   }
-  lastSecondBucket = secondBucket;
 
-  io.emit("price", { close, ts, source: "second" });
+  const announce = ts - dayStart >= DAILY_RANGE_WARMUP_MS;
+  if (price > range.high) {
+    range.high = price;
+    if (announce && ts - range.highNotifiedAt >= DAILY_EXTREME_NOTIFY_MS) {
+      range.highNotifiedAt = ts;
+      notifier.notify("dailyHigh", { symbol: state.symbol, price, ts });
+    }
+  } else if (price < range.low) {
+    range.low = price;
+    if (announce && ts - range.lowNotifiedAt >= DAILY_EXTREME_NOTIFY_MS) {
+      range.lowNotifiedAt = ts;
+      notifier.notify("dailyLow", { symbol: state.symbol, price, ts });
+    }
+  }
+}
+
+function getSecondPricePayload(state, close, ts) {
+  return {
+    symbol: state.symbol,
+    close,
+    ts,
+    source: "second",
+    feed: state.priceFeed,
+    stale: Date.now() - state.lastTradeAt > TRADE_STALE_MS
+  };
 }
 
 function startSecondHeartbeat() {
@@ -141,27 +555,39 @@ function startSecondHeartbeat() {
   }
 
   secondHeartbeatTimer = setInterval(() => {
-    if (latestSecondPrice === null) {
-      return;
+    for (const state of symbolStates.values()) {
+      if (state.latestSecondPrice === null) {
+        continue;
+      }
+      emitSecondPrice(state, state.latestSecondPrice, Date.now());
     }
-    emitSecondPrice(latestSecondPrice, Date.now());
   }, 1_000);
 }
 
+// Binance klines carry the taker buy base volume; the rest of the volume was
+// taker sells.
 function normalizeRestKline(entry) {
+  const volume = toNumber(entry[5]);
+  const buyVolume = toNumber(entry[9]);
   return {
     startTime: toNumber(entry[0]),
     open: toNumber(entry[1]),
     high: toNumber(entry[2]),
     low: toNumber(entry[3]),
     close: toNumber(entry[4]),
-    volume: toNumber(entry[5]),
-    isClosed: true
+    volume,
+    buyVolume,
+    sellVolume: Math.max(0, volume - buyVolume),
+    isClosed: toNumber(entry[6]) < Date.now()
   };
 }
 
-async function fetchMinuteHistoryFromBinance() {
-  const response = await fetch(BINANCE_KLINE_REST_URL, { method: "GET" });
+async function fetchKlinesFromBinance(symbol, interval, { limit = MAX_CANDLES, startTime } = {}) {
+  const startParam = startTime === undefined ? "" : `&startTime=${startTime}`;
+  const response = await upstreamFetch(
+    `${BINANCE_KLINE_REST_URL}?symbol=${symbol}&interval=${interval}&limit=${limit}${startParam}`,
+    { method: "GET" }
+  );
   if (!response.ok) {
     throw new Error(`Binance REST returned ${response.status}`);
   }
@@ -171,50 +597,142 @@ async function fetchMinuteHistoryFromBinance() {
     throw new Error("Binance REST returned invalid payload");
   }
 
-  return payload.map(normalizeRestKline).slice(-MAX_CANDLES);
+  return payload.map(normalizeRestKline);
 }
 
-async function syncMinuteHistory(emitHistory = false) {
+async function fetchMinuteHistoryFromBinance(symbol) {
+  const nextCandles = await fetchKlinesFromBinance(symbol, "1m");
+  return nextCandles.slice(-MAX_CANDLES);
+}
+
+/**
+ * Feeds a 1m candle into every higher timeframe and emits the rebuilt
+ * buckets as `kline` events tagged with their interval.
+ */
+function applyTimeframes(state, minuteCandle, emit = true) {
+  for (const [interval, aggregator] of Object.entries(state.timeframes)) {
+    const candle = aggregator.apply(minuteCandle);
+    if (candle && emit) {
+      io.to(state.symbol).emit("kline", { ...candle, interval });
+    }
+  }
+}
+
+/**
+ * Loads finished higher-timeframe candles from Binance, then rebuilds the
+ * buckets that are still open from today's 1m candles (every open bucket
+ * starts on or after 00:00 UTC).
+ */
+async function syncSymbolTimeframes(state) {
+  try {
+    const dayStart = bucketStart(Date.now(), TIMEFRAMES["1d"]);
+    const intervals = Object.keys(TIMEFRAMES);
+    const histories = await Promise.all(
+      intervals.map((interval) => fetchKlinesFromBinance(state.symbol, interval))
+    );
+
+    const minutes = [];
+    let startTime = dayStart;
+    while (true) {
+      const page = await fetchKlinesFromBinance(state.symbol, "1m", {
+        limit: MAX_KLINES_PER_REQUEST,
+        startTime
+      });
+      minutes.push(...page);
+      if (page.length < MAX_KLINES_PER_REQUEST) {
+        break;
+      }
+      startTime = page[page.length - 1].startTime + MINUTE_MS;
+    }
+
+    const now = Date.now();
+    intervals.forEach((interval, idx) => {
+      const aggregator = state.timeframes[interval];
+      aggregator.seed(histories[idx], now);
+      for (const minute of minutes) {
+        aggregator.apply(minute);
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to sync Binance timeframes for ${state.symbol}:`, error.message);
+  }
+}
+
+async function syncTimeframes() {
+  await Promise.all([...symbolStates.values()].map((state) => syncSymbolTimeframes(state)));
+}
+
+async function syncSymbolMinuteHistory(state, emitHistory) {
   try {
-    const nextCandles = await fetchMinuteHistoryFromBinance();
+    const nextCandles = await fetchMinuteHistoryFromBinance(state.symbol);
+    sources.success("candles", state.symbol);
     if (nextCandles.length === 0) {
       return;
     }
 
-    const prevLast = candles[candles.length - 1];
-    setCandles(nextCandles);
-    const nowLast = candles[candles.length - 1];
+    const prevLast = state.candles[state.candles.length - 1];
+    setCandles(state, nextCandles);
+    persistClosedCandles(state, state.candles);
+    for (const candle of state.candles) {
+      applyTimeframes(state, candle, false);
+    }
+    const nowLast = state.candles[state.candles.length - 1];
 
     const changed =
       !prevLast ||
       prevLast.startTime !== nowLast.startTime ||
       prevLast.close !== nowLast.close ||
-      prevLast.volume !== nowLast.volume;
+      prevLast.volume !== nowLast.volume ||
+      prevLast.buyVolume !== nowLast.buyVolume;
 
     if (emitHistory || changed) {
-      io.emit("history", candles);
-      io.emit("kline", nowLast);
-      io.emit("price", { close: nowLast.close, startTime: nowLast.startTime, source: "minute" });
+      const room = io.to(state.symbol);
+      room.emit("history", state.candles);
+      room.emit("kline", { ...nowLast, interval: "1m" });
+      for (const [interval, aggregator] of Object.entries(state.timeframes)) {
+        const last = aggregator.candles[aggregator.candles.length - 1];
+        if (last) {
+          room.emit("kline", { ...last, interval });
+        }
+      }
+      room.emit("price", {
+        symbol: state.symbol,
+        close: nowLast.close,
+        startTime: nowLast.startTime,
+        source: "minute",
+        feed: "binance"
+      });
     }
   } catch (error) {
-    console.error("Failed to sync Binance minute history:", error.message);
+    sources.failure("candles", state.symbol, error);
+    console.error(`Failed to sync Binance minute history for ${state.symbol}:`, error.message);
   }
 }
 
+async function syncMinuteHistory(emitHistory = false) {
+  await Promise.all(
+    [...symbolStates.values()].map((state) => syncSymbolMinuteHistory(state, emitHistory))
+  );
+}
+
 function normalizeWsKline(kline) {
+  const volume = toNumber(kline.v);
+  const buyVolume = toNumber(kline.V);
   return {
     startTime: toNumber(kline.t),
     open: toNumber(kline.o),
     high: toNumber(kline.h),
     low: toNumber(kline.l),
     close: toNumber(kline.c),
-    volume: toNumber(kline.v),
+    volume,
+    buyVolume,
+    sellVolume: Math.max(0, volume - buyVolume),
     isClosed: Boolean(kline.x)
   };
 }
 
-function mapRawBidsToRows(rawBids, exchange) {
-  const rows = rawBids
+function mapRawLevelsToRows(rawLevels, exchange, minNotional, limit) {
+  const rows = rawLevels
     .map((item) => {
       const price = toNumber(item[0]);
       const size = toNumber(item[1]);
@@ -227,98 +745,293 @@ function mapRawBidsToRows(rawBids, exchange) {
         notional: price * size
       };
     })
-    .filter((item) => item.price > 0 && item.size >= MIN_TOP_BUYER_BTC)
+    .filter((item) => item.price > 0 && item.notional >= minNotional)
     .sort((a, b) => b.notional - a.notional);
 
-  return rows.slice(0, TOP_BUYERS_LIMIT);
+  return rows.slice(0, limit);
 }
 
-async function fetchBinanceBids() {
-  const res = await fetch(
-    "https://api.binance.com/api/v3/depth?symbol=BTCUSDT&limit=50"
-  );
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}`);
-  }
-  const json = await res.json();
-  const bids = Array.isArray(json?.bids) ? json.bids : [];
-  return mapRawBidsToRows(bids, EXCHANGES[0]);
+function getTopBuyersPayload(state) {
+  return {
+    symbol: state.symbol,
+    minNotional: TOP_ORDER_MIN_NOTIONAL,
+    updatedAt: state.topBuyersUpdatedAt,
+    rows: state.topBuyers,
+    exchanges: state.exchangeStatus
+  };
 }
 
-async function fetchBybitBids() {
-  const res = await fetch(
-    "https://api.bybit.com/v5/market/orderbook?category=spot&symbol=BTCUSDT&limit=50"
-  );
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}`);
-  }
-  const json = await res.json();
-  const bids = Array.isArray(json?.result?.b) ? json.result.b : [];
-  return mapRawBidsToRows(bids, EXCHANGES[1]);
+function getTopSellersPayload(state) {
+  return {
+    symbol: state.symbol,
+    minNotional: TOP_ORDER_MIN_NOTIONAL,
+    updatedAt: state.topBuyersUpdatedAt,
+    rows: state.topSellers,
+    exchanges: state.exchangeStatus
+  };
 }
 
-async function fetchOkxBids() {
-  const res = await fetch("https://www.okx.com/api/v5/market/books?instId=BTC-USDT&sz=50");
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}`);
-  }
-  const json = await res.json();
-  const bids = Array.isArray(json?.data?.[0]?.bids) ? json.data[0].bids : [];
-  return mapRawBidsToRows(bids, EXCHANGES[2]);
+function getWallsPayload(state) {
+  return {
+    symbol: state.symbol,
+    minNotional: WALL_MIN_NOTIONAL,
+    active: state.walls.active(),
+    recent: state.walls.recent()
+  };
 }
 
-async function fetchKucoinBids() {
-  const res = await fetch(
-    "https://api.kucoin.com/api/v1/market/orderbook/level2_20?symbol=BTC-USDT"
-  );
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}`);
+/** Diffs the healthy books against the last rebuild and emits wall events. */
+function trackWalls(state) {
+  const books = [];
+  for (const adapter of exchangeRegistry.adapters) {
+    const entry = state.books.get(adapter.id);
+    if (entry?.status === "ok" && entry.book) {
+      books.push({
+        adapter,
+        bids: entry.book.bids.slice(0, ORDER_BOOK_DEPTH),
+        asks: entry.book.asks.slice(0, ORDER_BOOK_DEPTH)
+      });
+    }
+  }
+
+  for (const { type, wall } of state.walls.update(books)) {
+    io.to(state.symbol).emit(type, { symbol: state.symbol, wall });
   }
-  const json = await res.json();
-  const bids = Array.isArray(json?.data?.bids) ? json.data.bids : [];
-  return mapRawBidsToRows(bids, EXCHANGES[3]);
 }
 
-async function refreshTopBuyersGlobal() {
-  const tasks = [
-    { exchange: EXCHANGES[0], fn: fetchBinanceBids },
-    { exchange: EXCHANGES[1], fn: fetchBybitBids },
-    { exchange: EXCHANGES[2], fn: fetchOkxBids },
-    { exchange: EXCHANGES[3], fn: fetchKucoinBids }
-  ];
+function withFirstSeen(state, rows, side) {
+  return rows.map((row) => ({
+    ...row,
+    firstSeen: state.walls.firstSeen(row.exchangeId, side, row.price)
+  }));
+}
 
-  const settled = await Promise.allSettled(tasks.map((item) => item.fn()));
+function isStreamedExchange(adapter) {
+  return ORDER_BOOK_STREAMING && Object.hasOwn(ORDER_BOOK_STREAMS, adapter.id);
+}
 
+/**
+ * Merges the latest book of every enabled exchange into the top buyers
+ * (bids) and top sellers (asks) lists and pushes both to the symbol's room.
+ */
+function rebuildTopOrders(state) {
   /** @type {Array<{exchange:string,exchangeId:string,logoUrl:string,price:number,size:number,notional:number}>} */
   const merged = [];
+  /** @type {Array<{exchange:string,exchangeId:string,logoUrl:string,price:number,size:number,notional:number}>} */
+  const mergedAsks = [];
   /** @type {Array<{exchange:string,status:string,error?:string}>} */
   const status = [];
 
+  trackWalls(state);
+
+  for (const exchange of exchangeRegistry.adapters) {
+    const entry = state.books.get(exchange.id);
+    if (!entry) {
+      status.push({ exchange: exchange.name, status: "syncing" });
+      continue;
+    }
+    if (entry.status === "ok" && entry.book) {
+      merged.push(
+        ...mapRawLevelsToRows(
+          entry.book.bids.slice(0, ORDER_BOOK_DEPTH),
+          exchange,
+          TOP_ORDER_MIN_NOTIONAL,
+          TOP_BUYERS_LIMIT
+        )
+      );
+      mergedAsks.push(
+        ...mapRawLevelsToRows(
+          entry.book.asks.slice(0, ORDER_BOOK_DEPTH),
+          exchange,
+          TOP_ORDER_MIN_NOTIONAL,
+          TOP_SELLERS_LIMIT
+        )
+      );
+    }
+    status.push({
+      exchange: exchange.name,
+      status: entry.status,
+      ...(entry.error ? { error: entry.error } : {})
+    });
+  }
+
+  state.topBuyers = withFirstSeen(
+    state,
+    merged.sort((a, b) => b.notional - a.notional).slice(0, TOP_BUYERS_LIMIT),
+    "bid"
+  );
+  state.topSellers = withFirstSeen(
+    state,
+    mergedAsks.sort((a, b) => b.notional - a.notional).slice(0, TOP_SELLERS_LIMIT),
+    "ask"
+  );
+  state.exchangeStatus = status;
+  state.topBuyersUpdatedAt = Date.now();
+  alerts.onTopOrders(state.symbol, "bid", state.topBuyers);
+  alerts.onTopOrders(state.symbol, "ask", state.topSellers);
+  if (status.some((entry) => entry.status === "ok")) {
+    sources.success("orderBook", state.symbol);
+  } else {
+    sources.failure(
+      "orderBook",
+      state.symbol,
+      status.find((entry) => entry.error)?.error ?? "No healthy order book"
+    );
+  }
+
+  const payload = getTopBuyersPayload(state);
+  io.to(state.symbol).emit("topBuyers", payload);
+  io.to(state.symbol).emit("topSellers", getTopSellersPayload(state));
+
+  if (
+    payload.rows.length > 0 &&
+    state.topBuyersUpdatedAt - state.lastTopBuyersPersistAt >= TOP_BUYERS_PERSIST_MS
+  ) {
+    state.lastTopBuyersPersistAt = state.topBuyersUpdatedAt;
+    store.appendTopBuyers(state.symbol, {
+      updatedAt: payload.updatedAt,
+      rows: payload.rows,
+      sellers: state.topSellers,
+      exchanges: payload.exchanges
+    });
+  }
+}
+
+// Streamed books change many times per second; rebuild at most every
+// TOP_BUYERS_EMIT_MS.
+function scheduleTopOrdersRebuild(state) {
+  if (state.topBuyersEmitTimer) {
+    return;
+  }
+  const wait = Math.max(0, TOP_BUYERS_EMIT_MS - (Date.now() - (state.topBuyersUpdatedAt ?? 0)));
+  state.topBuyersEmitTimer = setTimeout(() => {
+    state.topBuyersEmitTimer = null;
+    rebuildTopOrders(state);
+  }, wait);
+}
+
+function setExchangeBook(state, adapter, entry) {
+  state.books.set(adapter.id, { ...state.books.get(adapter.id), ...entry });
+  scheduleTopOrdersRebuild(state);
+}
+
+/** Polls the REST depth endpoint of every exchange that is not streamed. */
+async function refreshSymbolTopBuyers(state) {
+  const adapters = exchangeRegistry.adapters.filter((adapter) => !isStreamedExchange(adapter));
+  if (adapters.length === 0) {
+    return;
+  }
+
+  const settled = await Promise.allSettled(
+    adapters.map((adapter) =>
+      exchangeRegistry.fetchBook(adapter, state.baseAsset, QUOTE_ASSET, ORDER_BOOK_DEPTH)
+    )
+  );
+
   settled.forEach((result, idx) => {
-    const exchange = tasks[idx].exchange;
+    const adapter = adapters[idx];
     if (result.status === "fulfilled") {
-      merged.push(...result.value);
-      status.push({ exchange: exchange.name, status: "ok" });
+      state.books.set(adapter.id, { status: "ok", book: result.value });
     } else {
-      status.push({
-        exchange: exchange.name,
+      state.books.set(adapter.id, {
         status: "error",
-        error: result.reason?.message || "unknown"
+        error: result.reason?.message || "unknown",
+        book: null
       });
     }
   });
 
-  topBuyers = merged.sort((a, b) => b.notional - a.notional).slice(0, TOP_BUYERS_LIMIT);
-  exchangeStatus = status;
-  topBuyersUpdatedAt = Date.now();
+  rebuildTopOrders(state);
+}
 
-  io.emit("topBuyers", {
-    symbol: SYMBOL,
-    minBtc: MIN_TOP_BUYER_BTC,
-    updatedAt: topBuyersUpdatedAt,
-    rows: topBuyers,
-    exchanges: exchangeStatus
-  });
+async function refreshTopBuyersGlobal() {
+  await Promise.all([...symbolStates.values()].map((state) => refreshSymbolTopBuyers(state)));
+  for (const state of symbolStates.values()) {
+    notifyNewWalls(state);
+  }
+}
+
+// Runs on the top buyers timer rather than per book update, and a wall is
+// only posted once it was already active at the previous refresh. The walls
+// standing at the first refresh after boot are taken as known, not posted.
+function notifyNewWalls(state) {
+  const active = state.walls.active();
+  const ids = new Set(active.map((wall) => wall.id));
+  if (state.previousWalls === null) {
+    state.previousWalls = ids;
+    state.notifiedWalls = ids;
+    return;
+  }
+  const notified = new Set();
+  for (const wall of active) {
+    if (state.notifiedWalls.has(wall.id)) {
+      notified.add(wall.id);
+    } else if (state.previousWalls.has(wall.id)) {
+      notifier.notify("wall", { symbol: state.symbol, ...wall });
+      notified.add(wall.id);
+    }
+  }
+  state.notifiedWalls = notified;
+  state.previousWalls = ids;
+}
+
+function startOrderBookStreams() {
+  for (const state of symbolStates.values()) {
+    for (const adapter of exchangeRegistry.adapters.filter(isStreamedExchange)) {
+      const symbol = adapter.toSymbol(state.baseAsset, QUOTE_ASSET);
+      orderBookStreams.push(
+        startOrderBookStream(adapter.id, {
+          symbol,
+          depth: STREAMED_BOOK_DEPTH,
+          onBook: (book) => setExchangeBook(state, adapter, { book }),
+          onStatus: (status, error) => {
+            exchangeRegistry.setStatus(adapter, symbol, status, error);
+            setExchangeBook(state, adapter, { status, error });
+          }
+        })
+      );
+    }
+  }
+}
+
+function getHeatmapPayload(state) {
+  return {
+    symbol: state.symbol,
+    sampleMs: HEATMAP_SAMPLE_MS,
+    samples: state.heatmap
+  };
+}
+
+/**
+ * Snapshots the merged book of every healthy exchange into price bins, one
+ * column of the liquidity heatmap per HEATMAP_SAMPLE_MS.
+ */
+function sampleHeatmap(state) {
+  const midPrice = state.latestSecondPrice ?? state.latestClose;
+  const books = [...state.books.values()]
+    .filter((entry) => entry.status === "ok" && entry.book)
+    .map((entry) => entry.book);
+  if (!midPrice || books.length === 0) {
+    return;
+  }
+
+  const sample = {
+    ts: Date.now(),
+    ...binBookLevels(books, midPrice, { binBps: HEATMAP_BIN_BPS, rangePct: HEATMAP_RANGE_PCT })
+  };
+  state.heatmap = [...state.heatmap, sample].slice(-HEATMAP_MAX_SAMPLES);
+  io.to(state.symbol).emit("heatmap", { symbol: state.symbol, sampleMs: HEATMAP_SAMPLE_MS, sample });
+}
+
+function startHeatmapSampler() {
+  if (heatmapTimer) {
+    return;
+  }
+  heatmapTimer = setInterval(() => {
+    for (const state of symbolStates.values()) {
+      sampleHeatmap(state);
+    }
+  }, HEATMAP_SAMPLE_MS);
 }
 
 function startTopBuyersSync() {
@@ -326,6 +1039,8 @@ function startTopBuyersSync() {
     return;
   }
 
+  startOrderBookStreams();
+
   refreshTopBuyersGlobal().catch((error) => {
     console.error("Failed to fetch global top buyers:", error.message);
   });
@@ -339,7 +1054,7 @@ function startTopBuyersSync() {
 
 async function refreshMarkets() {
   try {
-    const cryptoRes = await fetch("https://api.binance.com/api/v3/ticker/24hr");
+    const cryptoRes = await upstreamFetch("https://api.binance.com/api/v3/ticker/24hr");
     if (!cryptoRes.ok) {
       throw new Error(`Binance ticker HTTP ${cryptoRes.status}`);
     }
@@ -371,7 +1086,7 @@ async function refreshMarkets() {
     const chunkSize = 20;
     for (let i = 0; i < uniqueStocks.length; i += chunkSize) {
       const chunk = uniqueStocks.slice(i, i + chunkSize).map((s) => `${s.toLowerCase()}.us`);
-      const stockRes = await fetch(
+      const stockRes = await upstreamFetch(
         `https://stooq.com/q/l/?s=${chunk.join("+")}&f=sd2t2ohlcv&h&e=csv`
       );
       if (!stockRes.ok) {
@@ -406,7 +1121,9 @@ async function refreshMarkets() {
     markets = [...cryptoRows, ...stockRows].filter((item) => item.symbol && item.price > 0);
 
     io.emit("markets", { updatedAt: Date.now(), rows: markets });
+    sources.success("markets");
   } catch (error) {
+    sources.failure("markets", null, error);
     console.error("Failed to refresh markets:", error.message);
   }
 }
@@ -423,14 +1140,14 @@ function startMarketsSync() {
 
 async function refreshFearGreed() {
   try {
-    const res = await fetch("https://api.alternative.me/fng/?limit=1");
+    const res = await upstreamFetch("https://api.alternative.me/fng/?limit=1");
     if (!res.ok) {
       throw new Error(`HTTP ${res.status}`);
     }
     const payload = await res.json();
     const row = Array.isArray(payload?.data) ? payload.data[0] : null;
     if (!row) {
-      return;
+      throw new Error("Empty response");
     }
     fearGreed = {
       value: toNumber(row.value),
@@ -438,7 +1155,9 @@ async function refreshFearGreed() {
       timestamp: toNumber(row.timestamp) * 1000
     };
     io.emit("fearGreed", fearGreed);
+    sources.success("fearGreed");
   } catch (error) {
+    sources.failure("fearGreed", null, error);
     console.error("Failed to refresh fear & greed:", error.message);
   }
 }
@@ -453,6 +1172,107 @@ function startFearGreedSync() {
   }, FEAR_REFRESH_MS);
 }
 
+async function refreshFutures() {
+  await Promise.all(
+    [...symbolStates.values()].map(async (state) => {
+      try {
+        const metrics = await state.futures.refresh();
+        if (metrics.errors.length > 0) {
+          sources.failure("futures", state.symbol, metrics.errors.join("; "));
+          console.error(`Failed to refresh ${state.symbol} futures metrics:`, metrics.errors.join("; "));
+        } else {
+          sources.success("futures", state.symbol);
+        }
+        io.to(state.symbol).emit("futures", metrics);
+      } catch (error) {
+        sources.failure("futures", state.symbol, error);
+        console.error(`Failed to refresh ${state.symbol} futures metrics:`, error.message);
+      }
+    })
+  );
+}
+
+function startFuturesSync() {
+  if (futuresTimer) {
+    return;
+  }
+  refreshFutures();
+  futuresTimer = setInterval(() => {
+    refreshFutures();
+  }, FUTURES_REFRESH_MS);
+}
+
+function getPriceIndexPayload(state) {
+  return { symbol: state.symbol, ...computePriceIndex(state.tickers) };
+}
+
+function startPriceIndex() {
+  const pairs = [...symbolStates.values()].map((state) => ({
+    symbol: state.symbol,
+    base: state.baseAsset
+  }));
+  for (const exchangeId of PRICE_INDEX_EXCHANGE_IDS) {
+    if (tickerStreams.has(exchangeId)) {
+      continue;
+    }
+    tickerStreams.set(
+      exchangeId,
+      startTickerStream(exchangeId, {
+        pairs,
+        onTicker: (symbol, ticker) => {
+          const state = getSymbolState(symbol);
+          if (state && ticker.price > 0) {
+            state.tickers.set(exchangeId, { ...ticker, receivedAt: Date.now() });
+          }
+        }
+      })
+    );
+  }
+
+  if (priceIndexTimer) {
+    return;
+  }
+  priceIndexTimer = setInterval(() => {
+    for (const state of symbolStates.values()) {
+      if (state.tickers.size > 0) {
+        io.to(state.symbol).emit("priceIndex", getPriceIndexPayload(state));
+      }
+    }
+  }, PRICE_INDEX_EMIT_MS);
+}
+
+function getSourceStatusPayload(state) {
+  return { symbol: state.symbol, updatedAt: Date.now(), sources: sources.snapshot(state.symbol) };
+}
+
+/**
+ * Liquidations and the price index arrive as streams with no request to
+ * fail, so they are probed here: fresh while at least one liquidation
+ * stream is open / one venue feeds the index. Then every room gets its
+ * `sourceStatus`.
+ */
+function startSourceStatusSync() {
+  if (sourceStatusTimer) {
+    return;
+  }
+  sourceStatusTimer = setInterval(() => {
+    const liquidationsOpen = [...liquidationStreams.values()].some((stream) => stream.isOpen());
+    for (const state of symbolStates.values()) {
+      if (liquidationsOpen) {
+        sources.success("liquidations", state.symbol);
+      } else {
+        sources.failure("liquidations", state.symbol, "No liquidation stream connected");
+      }
+      if (computePriceIndex(state.tickers).index !== null) {
+        sources.success("priceIndex", state.symbol);
+      } else {
+        sources.failure("priceIndex", state.symbol, "No fresh venue ticker");
+      }
+      io.to(state.symbol).emit("sourceStatus", getSourceStatusPayload(state));
+    }
+  }, SOURCE_STATUS_EMIT_MS);
+}
+
 function scheduleReconnect() {
   if (isShuttingDown || reconnectTimer) {
     return;
@@ -479,97 +1299,343 @@ function clearReconnectTimer() {
   }
 }
 
-function scheduleForceReconnect() {
-  if (isShuttingDown || forceReconnectTimer) {
+function pushLiquidation(state, item) {
+  state.liquidations = [item, ...state.liquidations].slice(0, MAX_LIQUIDATIONS);
+  state.liquidationStats.add(item);
+  alerts.onLiquidation(state.symbol, item);
+  notifier.notify("liquidation", { ...item, position: item.side === "sell" ? "long" : "short" });
+  store.appendLiquidation(state.symbol, item);
+  io.to(state.symbol).emit("liquidation", item);
+}
+
+function pushWhaleTrade(state, print) {
+  if (!print) {
     return;
   }
+  const item = { symbol: state.symbol, ...print };
+  state.whaleTrades = [item, ...state.whaleTrades].slice(0, MAX_WHALE_TRADES);
+  store.appendWhaleTrade(state.symbol, item);
+  io.to(state.symbol).emit("whaleTrade", item);
+}
 
-  forceReconnectAttempt += 1;
-  const delay = Math.min(
-    RECONNECT_BASE_DELAY_MS * 2 ** Math.max(0, forceReconnectAttempt - 1),
-    RECONNECT_MAX_DELAY_MS
-  );
+// A cluster only ends on the next trade, so quiet markets need a timer to
+// release the last print.
+function startWhaleFlush() {
+  if (whaleFlushTimer) {
+    return;
+  }
+  whaleFlushTimer = setInterval(() => {
+    for (const state of symbolStates.values()) {
+      pushWhaleTrade(state, state.whales.expire());
+    }
+  }, WHALE_MERGE_MS);
+}
 
-  forceReconnectTimer = setTimeout(() => {
-    forceReconnectTimer = null;
-    connectForceWebSocket();
-  }, delay);
+function getLiquidationStatsPayload(state) {
+  return {
+    symbol: state.symbol,
+    updatedAt: Date.now(),
+    windows: state.liquidationStats.snapshot()
+  };
 }
 
-function clearForceReconnectTimer() {
-  if (forceReconnectTimer) {
-    clearTimeout(forceReconnectTimer);
-    forceReconnectTimer = null;
+// Windows roll forward even without new liquidations, so stats are pushed
+// on a timer rather than per liquidation.
+function startLiquidationStatsSync() {
+  if (liquidationStatsTimer) {
+    return;
   }
+  liquidationStatsTimer = setInterval(() => {
+    for (const state of symbolStates.values()) {
+      io.to(state.symbol).emit("liquidationStats", getLiquidationStatsPayload(state));
+    }
+  }, LIQUIDATION_STATS_EMIT_MS);
 }
 
-function pushLiquidation(item) {
-  liquidations = [item, ...liquidations].slice(0, MAX_LIQUIDATIONS);
-  io.emit("liquidation", item);
+function startLiquidationStreams() {
+  const pairs = [...symbolStates.values()].map((state) => ({
+    symbol: state.symbol,
+    base: state.baseAsset
+  }));
+  for (const exchangeId of LIQUIDATION_EXCHANGE_IDS) {
+    if (liquidationStreams.has(exchangeId)) {
+      continue;
+    }
+    liquidationStreams.set(
+      exchangeId,
+      startLiquidationStream(exchangeId, {
+        pairs,
+        onLiquidation: (symbol, row) => {
+          const state = getSymbolState(symbol);
+          if (state) {
+            pushLiquidation(state, { symbol, ...row });
+          }
+        }
+      })
+    );
+  }
 }
 
-function connectForceWebSocket() {
-  if (isShuttingDown) {
+/**
+ * Feeds one trade of the active price feed into the price, sub-minute
+ * candles, wall tracker, whale detector and the `trade` event.
+ */
+function handleTrade(state, { price, qty, ts, side }, count = 1) {
+  const trade = { symbol: state.symbol, price, qty, ts, side };
+  state.lastTradeAt = Date.now();
+  sources.success("trades", state.symbol);
+  emitSecondPrice(state, price, ts);
+  applySubMinuteTrade(state, trade);
+  state.walls.observeTrade(price);
+  pushWhaleTrade(state, state.whales.apply(trade, count));
+  state.orderFlow.add(trade, count);
+  state.tradeProfile.add(trade);
+  alerts.onTrade(state.symbol, trade);
+  io.to(state.symbol).emit("trade", trade);
+}
+
+function getOrderFlowPayload(state) {
+  const now = Date.now();
+  return { symbol: state.symbol, ts: now, windows: state.orderFlow.snapshot(now) };
+}
+
+function getCvdPayload(state, interval) {
+  const futuresCandles = state.futuresDelta?.candles(interval);
+  return {
+    symbol: state.symbol,
+    interval,
+    spot: toCvdPoints(getCandleSeries(state, interval)),
+    futures: futuresCandles?.length ? toCvdPoints(futuresCandles) : null
+  };
+}
+
+/**
+ * Deltas of the last two buckets of every interval. Clients add them to the
+ * CVD they loaded from `/api/cvd`; the second to last bucket is repeated so
+ * its final trades are not lost when a new bucket opens.
+ */
+function getCvdUpdatePayload(state) {
+  return {
+    symbol: state.symbol,
+    ts: Date.now(),
+    intervals: Object.fromEntries(
+      Object.keys(CVD_INTERVALS).map((interval) => {
+        const futuresCandles = state.futuresDelta?.candles(interval);
+        return [
+          interval,
+          {
+            spot: toDeltaPoints(getCandleSeries(state, interval).slice(-2)),
+            futures: futuresCandles?.length ? toDeltaPoints(futuresCandles.slice(-2)) : null
+          }
+        ];
+      })
+    )
+  };
+}
+
+function startOrderFlowSync() {
+  if (orderFlowTimer) {
     return;
   }
+  orderFlowTimer = setInterval(() => {
+    for (const state of symbolStates.values()) {
+      io.to(state.symbol).emit("orderFlow", getOrderFlowPayload(state));
+      io.to(state.symbol).emit("cvd", getCvdUpdatePayload(state));
+    }
+  }, ORDER_FLOW_EMIT_MS);
+}
 
-  if (
-    forceSocket &&
-    (forceSocket.readyState === WebSocket.OPEN || forceSocket.readyState === WebSocket.CONNECTING)
-  ) {
+async function syncFuturesDeltaHistory() {
+  await Promise.all(
+    [...symbolStates.values()]
+      .filter((state) => state.futuresDelta && !state.futuresDelta.seeded)
+      .map(async (state) => {
+        try {
+          await state.futuresDelta.seed();
+        } catch (error) {
+          // Binance answers 400 for a symbol without a perpetual.
+          if (error.message === "HTTP 400") {
+            console.warn(`${state.symbol} has no Binance perpetual, futures CVD disabled.`);
+            state.futuresDelta = null;
+            return;
+          }
+          console.error(`Failed to load ${state.symbol} futures delta history:`, error.message);
+        }
+      })
+  );
+}
+
+function startFuturesCvd() {
+  if (!CVD_FUTURES || futuresTradeStream) {
     return;
   }
+  futuresTradeStream = startFuturesTradeStream({
+    symbols: SYMBOLS,
+    onTrade: (symbol, trade) => {
+      const state = symbolStates.get(symbol);
+      if (!state?.futuresDelta || !(trade.price > 0)) {
+        return;
+      }
+      sources.success("futuresTrades", symbol);
+      state.futuresDelta.apply(trade);
+    }
+  });
+  syncFuturesDeltaHistory();
+}
 
-  clearForceReconnectTimer();
-  forceSocket = new WebSocket(BINANCE_FORCE_WS_URL);
+function switchPriceFeed(state, feed) {
+  if (state.priceFeed === feed) {
+    return;
+  }
+  console.warn(`${state.symbol} price feed switched from ${state.priceFeed} to ${feed}.`);
+  state.priceFeed = feed;
+  state.binanceRecoveringSince = null;
+  if (state.latestSecondPrice !== null) {
+    io.to(state.symbol).emit(
+      "price",
+      getSecondPricePayload(state, state.latestSecondPrice, state.latestSecondTs)
+    );
+  }
+}
 
-  forceSocket.on("open", () => {
-    forceReconnectAttempt = 0;
-    console.log("Connected to Binance forceOrder WS.");
-  });
+// Called for every Binance message of the symbol while the failover feed is
+// active.
+function recoverBinanceFeed(state) {
+  const now = Date.now();
+  if (state.binanceRecoveringSince === null) {
+    state.binanceRecoveringSince = now;
+  } else if (now - state.binanceRecoveringSince >= FEED_RECOVERY_MS) {
+    switchPriceFeed(state, "binance");
+  }
+}
 
-  forceSocket.on("message", (rawData) => {
-    try {
-      const payload = JSON.parse(rawData.toString());
-      const order = payload?.o;
-      if (!order) {
-        return;
+function syncFailoverTradeStream() {
+  const needed = [...symbolStates.values()].some((state) => state.priceFeed !== "binance");
+  if (needed && !failoverTradeStream) {
+    failoverTradeStream = startFailoverTradeStream(PRICE_FAILOVER_EXCHANGE, {
+      pairs: [...symbolStates.values()].map((state) => ({
+        symbol: state.symbol,
+        base: state.baseAsset
+      })),
+      onTrade: (symbol, trade) => {
+        const state = getSymbolState(symbol);
+        if (state?.priceFeed === PRICE_FAILOVER_EXCHANGE && trade.price > 0) {
+          handleTrade(state, trade);
+        }
       }
+    });
+  } else if (!needed && failoverTradeStream) {
+    failoverTradeStream.stop();
+    failoverTradeStream = null;
+  }
+}
 
-      const qty = toNumber(order.q);
-      const price = toNumber(order.ap || order.p);
-      const side = order.S === "SELL" ? "sell" : "buy";
-      if (qty <= 0 || price <= 0) {
-        return;
+/**
+ * Once a second: drops a Binance socket that is open but silent, moves
+ * every symbol that got no Binance message for FEED_STALE_MS to the
+ * failover exchange, and runs the failover stream only while some symbol
+ * needs it.
+ */
+function startFeedWatchdog() {
+  if (feedWatchdogTimer) {
+    return;
+  }
+  if (!Object.hasOwn(FAILOVER_TRADE_STREAMS, PRICE_FAILOVER_EXCHANGE)) {
+    console.warn(`Unknown price failover exchange "${PRICE_FAILOVER_EXCHANGE}", failover disabled.`);
+  }
+
+  // Give Binance a full stale window after boot before failing over.
+  const startedAt = Date.now();
+  for (const state of symbolStates.values()) {
+    state.lastBinanceMessageAt = Math.max(state.lastBinanceMessageAt, startedAt);
+  }
+
+  feedWatchdogTimer = setInterval(() => {
+    const now = Date.now();
+    const binanceOpen = binanceSocket?.readyState === WebSocket.OPEN;
+    if (binanceOpen && now - lastBinanceMessageAt > FEED_STALE_MS) {
+      console.warn("Binance WS is open but silent, reconnecting.");
+      binanceSocket.terminate();
+    }
+
+    for (const state of symbolStates.values()) {
+      if (now - state.lastBinanceMessageAt <= FEED_STALE_MS) {
+        continue;
+      }
+      state.binanceRecoveringSince = null;
+      if (
+        state.priceFeed === "binance" &&
+        Object.hasOwn(FAILOVER_TRADE_STREAMS, PRICE_FAILOVER_EXCHANGE)
+      ) {
+        switchPriceFeed(state, PRICE_FAILOVER_EXCHANGE);
       }
+    }
 
-      pushLiquidation({
-        symbol: order.s,
-        side,
-        price,
-        qty,
-        notional: price * qty,
-        ts: toNumber(order.T) || Date.now()
-      });
-    } catch (error) {
-      console.error("Failed to parse forceOrder message:", error.message);
+    syncFailoverTradeStream();
+  }, FEED_WATCHDOG_MS);
+}
+
+/** Handles one message of the combined Binance trade/kline stream. */
+function handleBinanceMessage(text) {
+  lastBinanceMessageAt = Date.now();
+  try {
+    const payload = JSON.parse(text);
+    const stream = payload?.stream;
+    const data = payload?.data;
+
+    const state = getSymbolState(typeof stream === "string" ? stream.split("@")[0] : null);
+    if (!stream || !data || !state) {
+      return;
+    }
+    state.lastBinanceMessageAt = Date.now();
+    if (state.priceFeed !== "binance") {
+      recoverBinanceFeed(state);
     }
-  });
 
-  forceSocket.on("error", (error) => {
-    console.error("forceOrder WS error:", error.message);
-  });
+    if (stream.endsWith(`@${TRADE_STREAM}`)) {
+      const close = toNumber(data.p);
+      if (close > 0) {
+        const count = TRADE_STREAM === "aggTrade" ? toNumber(data.l) - toNumber(data.f) + 1 : 1;
+        if (state.priceFeed === "binance") {
+          handleTrade(
+            state,
+            {
+              price: close,
+              qty: toNumber(data.q),
+              ts: toNumber(data.T) || Date.now(),
+              side: Boolean(data.m) ? "sell" : "buy"
+            },
+            Math.max(1, count)
+          );
+        }
+      }
+    }
 
-  forceSocket.on("close", () => {
-    forceSocket = null;
-    scheduleForceReconnect();
-  });
+    if (stream.endsWith("@kline_1m")) {
+      const kline = data.k;
+      if (!kline) {
+        return;
+      }
+      const candle = normalizeWsKline(kline);
+      sources.success("candles", state.symbol);
+      const updated = upsertCandle(state, candle);
+      persistClosedCandles(state, [updated]);
+      io.to(state.symbol).emit("kline", { ...updated, interval: "1m" });
+      applyTimeframes(state, updated);
+    }
+  } catch (error) {
+    console.error("Failed to parse Binance WS message:", error.message);
+  }
 }
 
 function connectBinanceWebSocket() {
   if (isShuttingDown) {
     return;
   }
+  if (standIn) {
+    standIn.attach("Binance", { onMessage: handleBinanceMessage });
+    return;
+  }
 
   if (
     binanceSocket &&
@@ -583,48 +1649,17 @@ function connectBinanceWebSocket() {
   binanceSocket = new WebSocket(BINANCE_WS_URL);
 
   binanceSocket.on("open", () => {
+    recordUpstream("open", "Binance");
     reconnectAttempt = 0;
+    lastBinanceMessageAt = Date.now();
+    watchLiveness(binanceSocket, "Binance");
     console.log("Connected to Binance WS.");
   });
 
   binanceSocket.on("message", (rawData) => {
-    try {
-      const payload = JSON.parse(rawData.toString());
-      const stream = payload?.stream;
-      const data = payload?.data;
-
-      if (!stream || !data) {
-        return;
-      }
-
-      if (stream.endsWith("@trade")) {
-        const close = toNumber(data.p);
-        const qty = toNumber(data.q);
-        const ts = toNumber(data.T) || Date.now();
-        if (close > 0) {
-          emitSecondPrice(close, ts);
-          io.emit("trade", {
-            symbol: SYMBOL,
-            price: close,
-            qty,
-            ts,
-            side: Boolean(data.m) ? "sell" : "buy"
-          });
-        }
-      }
-
-      if (stream.endsWith("@kline_1m")) {
-        const kline = data.k;
-        if (!kline) {
-          return;
-        }
-        const candle = normalizeWsKline(kline);
-        const updated = upsertCandle(candle);
-        io.emit("kline", updated);
-      }
-    } catch (error) {
-      console.error("Failed to parse Binance WS message:", error.message);
-    }
+    const text = rawData.toString();
+    recordUpstream("message", "Binance", { data: text });
+    handleBinanceMessage(text);
   });
 
   binanceSocket.on("error", (error) => {
@@ -632,38 +1667,67 @@ function connectBinanceWebSocket() {
   });
 
   binanceSocket.on("close", () => {
+    recordUpstream("close", "Binance");
     console.warn("Binance WS closed.");
     binanceSocket = null;
     scheduleReconnect();
   });
 }
 
+// Like `resolveRequestSymbol`, an unknown `symbol` is refused rather than
+// served the default pair; the client gets the message in `connect_error`.
+io.use((socket, next) => {
+  if (!getSymbolState(socket.handshake.query?.symbol)) {
+    next(new Error(`Unknown symbol, expected one of ${SYMBOLS.join(", ")}`));
+    return;
+  }
+  next();
+});
+
 io.on("connection", (socket) => {
-  if (candles.length > 0) {
-    socket.emit("history", candles);
+  const state = getSymbolState(socket.handshake.query?.symbol);
+  socket.join(state.symbol);
+
+  if (state.candles.length > 0) {
+    socket.emit("history", state.candles);
   }
 
-  if (latestSecondPrice !== null) {
-    socket.emit("price", { close: latestSecondPrice, ts: latestSecondTs, source: "second" });
-  } else if (latestClose !== null) {
+  for (const [interval, aggregator] of Object.entries(state.subMinute)) {
+    socket.emit("secondHistory", {
+      symbol: state.symbol,
+      interval,
+      candles: aggregator.candles
+    });
+  }
+
+  if (state.latestSecondPrice !== null) {
+    socket.emit("price", getSecondPricePayload(state, state.latestSecondPrice, state.latestSecondTs));
+  } else if (state.latestClose !== null) {
     socket.emit("price", {
-      close: latestClose,
-      startTime: candles[candles.length - 1]?.startTime ?? null,
-      source: "minute"
+      symbol: state.symbol,
+      close: state.latestClose,
+      startTime: state.candles[state.candles.length - 1]?.startTime ?? null,
+      source: "minute",
+      feed: "binance"
     });
   }
 
-  socket.emit("topBuyers", {
-    symbol: SYMBOL,
-    minBtc: MIN_TOP_BUYER_BTC,
-    updatedAt: topBuyersUpdatedAt,
-    rows: topBuyers,
-    exchanges: exchangeStatus
-  });
+  socket.emit("topBuyers", getTopBuyersPayload(state));
+  socket.emit("topSellers", getTopSellersPayload(state));
+  socket.emit("heatmapHistory", getHeatmapPayload(state));
+  socket.emit("walls", getWallsPayload(state));
 
   socket.emit("liquidations", {
+    symbol: state.symbol,
+    updatedAt: Date.now(),
+    rows: state.liquidations
+  });
+  socket.emit("liquidationStats", getLiquidationStatsPayload(state));
+
+  socket.emit("whaleTrades", {
+    symbol: state.symbol,
     updatedAt: Date.now(),
-    rows: liquidations
+    rows: state.whaleTrades
   });
 
   socket.emit("markets", {
@@ -674,57 +1738,270 @@ io.on("connection", (socket) => {
   if (fearGreed) {
     socket.emit("fearGreed", fearGreed);
   }
+
+  if (state.futures.metrics.updatedAt) {
+    socket.emit("futures", state.futures.metrics);
+  }
+
+  if (state.tickers.size > 0) {
+    socket.emit("priceIndex", getPriceIndexPayload(state));
+  }
+
+  socket.emit("sourceStatus", getSourceStatusPayload(state));
+  socket.emit("orderFlow", getOrderFlowPayload(state));
 });
 
+/**
+ * Resolves the `symbol` query parameter of a REST request. Responds with 404
+ * and returns null when the symbol is not one of the configured pairs.
+ */
+function resolveRequestSymbol(req, res) {
+  const state = getSymbolState(req.query.symbol);
+  if (!state) {
+    res.status(404).json({ message: `Unknown symbol, expected one of ${SYMBOLS.join(", ")}` });
+    return null;
+  }
+  return state;
+}
+
 app.get("/health", (_req, res) => {
   res.json({
     status: "ok",
+    upstream: simulator ? "simulated" : replay ? "replay" : recorder ? "recording" : "live",
     binanceWsConnected: binanceSocket?.readyState === WebSocket.OPEN,
-    forceWsConnected: forceSocket?.readyState === WebSocket.OPEN,
-    candles: candles.length,
-    latestSecondPrice,
-    topBuyersUpdatedAt,
-    liquidations: liquidations.length
+    forceWsConnected: liquidationStreams.get("binance")?.isOpen() ?? false,
+    futuresTradesConnected: futuresTradeStream?.isOpen() ?? false,
+    liquidationStreams: Object.fromEntries(
+      [...liquidationStreams].map(([exchangeId, stream]) => [exchangeId, stream.isOpen()])
+    ),
+    exchanges: exchangeRegistry.getStatus(),
+    symbols: [...symbolStates.values()].map((state) => ({
+      symbol: state.symbol,
+      candles: state.candles.length,
+      latestSecondPrice: state.latestSecondPrice,
+      priceFeed: state.priceFeed,
+      topBuyersUpdatedAt: state.topBuyersUpdatedAt,
+      liquidations: state.liquidations.length
+    })),
+    sources: sources.snapshot(),
+    notifier: notifier.stats()
   });
 });
 
-app.get("/api/price", (_req, res) => {
-  const close = latestSecondPrice ?? latestClose;
+app.get("/api/symbols", (_req, res) => {
+  res.json({
+    defaultSymbol: DEFAULT_SYMBOL,
+    symbols: SYMBOLS
+  });
+});
+
+app.get("/api/price", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  const close = state.latestSecondPrice ?? state.latestClose;
   if (close === null) {
     res.status(503).json({ message: "Price is not available yet" });
     return;
   }
 
   res.json({
-    symbol: SYMBOL,
+    symbol: state.symbol,
     close,
-    ts: latestSecondTs,
-    startTime: candles[candles.length - 1]?.startTime ?? null
+    ts: state.latestSecondTs,
+    startTime: state.candles[state.candles.length - 1]?.startTime ?? null,
+    feed: state.priceFeed
   });
 });
 
-app.get("/api/history", (_req, res) => {
+app.get("/api/history", async (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  const interval = String(req.query.interval || "1m");
+  const memoryCandles = getCandleSeries(state, interval);
+  if (!memoryCandles) {
+    const known = ["1m", ...Object.keys(TIMEFRAMES), ...Object.keys(SUB_MINUTE_INTERVALS)];
+    res.status(400).json({ message: `Unknown interval, expected one of ${known.join(", ")}` });
+    return;
+  }
+
+  if (req.query.from === undefined && req.query.to === undefined) {
+    res.json({
+      symbol: state.symbol,
+      interval,
+      candles: memoryCandles.slice(-MAX_CANDLES)
+    });
+    return;
+  }
+
+  // Paged range query: `nextFrom` is the `from` of the next page, or null on
+  // the last page. Only 1m candles are stored, other intervals page over
+  // what is in memory.
+  const from = toNumber(req.query.from);
+  const to = req.query.to === undefined ? Date.now() : toNumber(req.query.to);
+  const limit = Math.min(Math.max(Math.floor(toNumber(req.query.limit)) || MAX_CANDLES, 1), MAX_HISTORY_PAGE);
+
+  try {
+    const stored =
+      interval === "1m" ? await store.queryCandles(state.symbol, { from, to, limit: limit + 1 }) : [];
+    const byTime = new Map(stored.map((candle) => [candle.startTime, candle]));
+    for (const candle of memoryCandles) {
+      if (candle.startTime >= from && candle.startTime <= to) {
+        byTime.set(candle.startTime, candle);
+      }
+    }
+    const page = [...byTime.values()].sort((a, b) => a.startTime - b.startTime);
+
+    res.json({
+      symbol: state.symbol,
+      interval,
+      from,
+      to,
+      candles: page.slice(0, limit),
+      nextFrom: page.length > limit ? page[limit].startTime : null
+    });
+  } catch (error) {
+    console.error("Failed to query stored history:", error.message);
+    res.status(500).json({ message: "History is not available" });
+  }
+});
+
+app.get("/api/top-buyers", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getTopBuyersPayload(state));
+});
+
+app.get("/api/top-sellers", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getTopSellersPayload(state));
+});
+
+app.get("/api/walls", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getWallsPayload(state));
+});
+
+app.get("/api/heatmap", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getHeatmapPayload(state));
+});
+
+app.get("/api/liquidations", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
   res.json({
-    symbol: SYMBOL,
-    interval: "1m",
-    candles: candles.slice(-MAX_CANDLES)
+    symbol: state.symbol,
+    updatedAt: Date.now(),
+    rows: state.liquidations
   });
 });
 
-app.get("/api/top-buyers", (_req, res) => {
+app.get("/api/cvd", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  const interval = String(req.query.interval || "1m");
+  if (!Object.hasOwn(CVD_INTERVALS, interval)) {
+    const known = Object.keys(CVD_INTERVALS);
+    res.status(400).json({ message: `Unknown interval, expected one of ${known.join(", ")}` });
+    return;
+  }
+  res.json(getCvdPayload(state, interval));
+});
+
+// Defaults to the whole in-memory series of `interval`, the range the
+// overlay chart shows.
+app.get("/api/volume-profile", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  const interval = String(req.query.interval || "1m");
+  const candles = getCandleSeries(state, interval);
+  if (!candles) {
+    const known = Object.keys(CVD_INTERVALS);
+    res.status(400).json({ message: `Unknown interval, expected one of ${known.join(", ")}` });
+    return;
+  }
+  const from = req.query.from === undefined ? (candles[0]?.startTime ?? 0) : toNumber(req.query.from);
+  const to = req.query.to === undefined ? Infinity : toNumber(req.query.to);
+  const rows = Math.min(
+    Math.max(Math.floor(toNumber(req.query.rows)) || VOLUME_PROFILE_ROWS, 1),
+    MAX_VOLUME_PROFILE_ROWS
+  );
+
   res.json({
-    symbol: SYMBOL,
-    minBtc: MIN_TOP_BUYER_BTC,
-    updatedAt: topBuyersUpdatedAt,
-    rows: topBuyers,
-    exchanges: exchangeStatus
+    symbol: state.symbol,
+    interval,
+    from,
+    to: Number.isFinite(to) ? to : null,
+    ...(computeVolumeProfile({
+      candles,
+      intervalMs: CVD_INTERVALS[interval],
+      trades: state.tradeProfile,
+      from,
+      to,
+      rows
+    }) ?? { binSize: null, rows: [], totalVolume: 0, poc: null, valueAreaLow: null, valueAreaHigh: null })
   });
 });
 
-app.get("/api/liquidations", (_req, res) => {
+app.get("/api/order-flow", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getOrderFlowPayload(state));
+});
+
+app.get("/api/liquidations/stats", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getLiquidationStatsPayload(state));
+});
+
+app.get("/api/whale-trades", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
   res.json({
+    symbol: state.symbol,
     updatedAt: Date.now(),
-    rows: liquidations
+    minNotional: WHALE_MIN_NOTIONAL,
+    rows: state.whaleTrades
   });
 });
 
@@ -735,10 +2012,114 @@ app.get("/api/markets", (_req, res) => {
   });
 });
 
+app.get("/api/price-index", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getPriceIndexPayload(state));
+});
+
+app.get("/api/sources", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(getSourceStatusPayload(state));
+});
+
+app.get("/api/alerts", (req, res) => {
+  if (req.query.symbol && !resolveRequestSymbol(req, res)) {
+    return;
+  }
+  res.json({ rules: alerts.list(getSymbolState(req.query.symbol)?.symbol) });
+});
+
+app.post("/api/alerts", async (req, res) => {
+  let rule;
+  try {
+    rule = normalizeAlertRule(req.body, SYMBOLS);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+    return;
+  }
+  alerts.add(rule);
+  try {
+    await store.saveAlertRules(alerts.list());
+  } catch (error) {
+    console.error("Failed to save alert rules:", error.message);
+    alerts.remove(rule.id);
+    res.status(500).json({ message: "Alert rule could not be saved" });
+    return;
+  }
+  res.status(201).json(rule);
+});
+
+app.delete("/api/alerts/:id", async (req, res) => {
+  const rule = alerts.remove(req.params.id);
+  if (!rule) {
+    res.status(404).json({ message: "Alert rule not found" });
+    return;
+  }
+  try {
+    await store.saveAlertRules(alerts.list());
+  } catch (error) {
+    console.error("Failed to save alert rules:", error.message);
+    alerts.add(rule);
+    res.status(500).json({ message: "Alert rule could not be deleted" });
+    return;
+  }
+  res.status(204).end();
+});
+
+app.get("/api/futures", (req, res) => {
+  const state = resolveRequestSymbol(req, res);
+  if (!state) {
+    return;
+  }
+
+  res.json(state.futures.metrics);
+});
+
 app.get("/api/fear-greed", (_req, res) => {
   res.json(fearGreed ?? {});
 });
 
+app.get("/api/simulator", (_req, res) => {
+  if (!simulator) {
+    res.status(404).json({ message: "Simulator is not running" });
+    return;
+  }
+  res.json(simulator.status());
+});
+
+app.post("/api/simulator/scenario", (req, res) => {
+  if (!simulator) {
+    res.status(404).json({ message: "Simulator is not running" });
+    return;
+  }
+  // A scenario by built-in name, or a whole scenario in the body.
+  const name = req.body?.scenario;
+  let scenario;
+  try {
+    if (name !== undefined && !Object.hasOwn(SIMULATOR_SCENARIOS, name)) {
+      throw new Error(`scenario must be one of ${Object.keys(SIMULATOR_SCENARIOS).join(", ")}`);
+    }
+    scenario =
+      name === undefined
+        ? normalizeScenario(req.body)
+        : normalizeScenario(SIMULATOR_SCENARIOS[name], name);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+    return;
+  }
+  simulator.play(scenario);
+  console.log(`Scenario ${scenario.name} started.`);
+  res.json(simulator.status());
+});
+
 function shutdown(signal) {
   if (isShuttingDown) {
     return;
@@ -747,7 +2128,6 @@ function shutdown(signal) {
   isShuttingDown = true;
   console.log(`Received ${signal}. Shutting down...`);
   clearReconnectTimer();
-  clearForceReconnectTimer();
 
   if (historySyncTimer) {
     clearInterval(historySyncTimer);
@@ -763,6 +2143,24 @@ function shutdown(signal) {
     clearInterval(topBuyersTimer);
     topBuyersTimer = null;
   }
+  if (heatmapTimer) {
+    clearInterval(heatmapTimer);
+    heatmapTimer = null;
+  }
+  if (whaleFlushTimer) {
+    clearInterval(whaleFlushTimer);
+    whaleFlushTimer = null;
+  }
+  if (liquidationStatsTimer) {
+    clearInterval(liquidationStatsTimer);
+    liquidationStatsTimer = null;
+  }
+  for (const stream of orderBookStreams) {
+    stream.stop();
+  }
+  for (const state of symbolStates.values()) {
+    clearTimeout(state.topBuyersEmitTimer);
+  }
   if (marketsTimer) {
     clearInterval(marketsTimer);
     marketsTimer = null;
@@ -771,6 +2169,39 @@ function shutdown(signal) {
     clearInterval(fearTimer);
     fearTimer = null;
   }
+  if (futuresTimer) {
+    clearInterval(futuresTimer);
+    futuresTimer = null;
+  }
+  if (feedWatchdogTimer) {
+    clearInterval(feedWatchdogTimer);
+    feedWatchdogTimer = null;
+  }
+  if (sourceStatusTimer) {
+    clearInterval(sourceStatusTimer);
+    sourceStatusTimer = null;
+  }
+  notifier.stop();
+  standIn?.stop();
+  if (orderFlowTimer) {
+    clearInterval(orderFlowTimer);
+    orderFlowTimer = null;
+  }
+  if (futuresTradeStream) {
+    futuresTradeStream.stop();
+    futuresTradeStream = null;
+  }
+  if (failoverTradeStream) {
+    failoverTradeStream.stop();
+    failoverTradeStream = null;
+  }
+  if (priceIndexTimer) {
+    clearInterval(priceIndexTimer);
+    priceIndexTimer = null;
+  }
+  for (const stream of tickerStreams.values()) {
+    stream.stop();
+  }
 
   if (binanceSocket) {
     try {
@@ -779,16 +2210,14 @@ function shutdown(signal) {
       // no-op
     }
   }
-  if (forceSocket) {
-    try {
-      forceSocket.terminate();
-    } catch (_error) {
-      // no-op
-    }
+  for (const stream of liquidationStreams.values()) {
+    stream.stop();
   }
 
-  io.close(() => {
-    httpServer.close(() => process.exit(0));
+  Promise.all([store.flush(), recorder?.close()]).finally(() => {
+    io.close(() => {
+      httpServer.close(() => process.exit(0));
+    });
   });
   setTimeout(() => process.exit(1), 5_000).unref();
 }
@@ -797,15 +2226,60 @@ process.on("SIGINT", () => shutdown("SIGINT"));
 process.on("SIGTERM", () => shutdown("SIGTERM"));
 
 httpServer.listen(PORT, async () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Server running on http://localhost:${PORT} (symbols: ${SYMBOLS.join(", ")})`);
+  if (standIn) {
+    try {
+      await standIn.load();
+    } catch (error) {
+      console.error(`Failed to load ${simulator ? "simulator" : "replay"}:`, error.message);
+      process.exit(1);
+    }
+  } else if (recorder) {
+    console.log(`Recording upstream data to ${RECORD_DIR}.`);
+  }
+  await loadPersistedState();
+  // Replayed or simulated liquidations and walls are not news; keep them off
+  // the channels.
+  if (NOTIFIER_CONFIG && standIn) {
+    console.warn(`Notifier disabled during ${simulator ? "simulation" : "replay"}.`);
+  } else if (NOTIFIER_CONFIG) {
+    try {
+      const channels = await loadNotifierChannels(NOTIFIER_CONFIG);
+      notifier.setChannels(channels);
+      console.log(`Notifier channels: ${channels.map((channel) => channel.id).join(", ") || "none"}.`);
+    } catch (error) {
+      console.error("Failed to load notifier config:", error.message);
+    }
+  }
   await syncMinuteHistory(true);
+  await syncTimeframes();
   connectBinanceWebSocket();
-  connectForceWebSocket();
+  startLiquidationStreams();
+  startLiquidationStatsSync();
   startSecondHeartbeat();
+  startFeedWatchdog();
+  startWhaleFlush();
   startTopBuyersSync();
+  startHeatmapSampler();
   startMarketsSync();
   startFearGreedSync();
+  startFuturesSync();
+  startPriceIndex();
+  startSourceStatusSync();
+  startOrderFlowSync();
+  startFuturesCvd();
+  if (simulator) {
+    console.log(`Simulating ${SYMBOLS.join(", ")} (scenario: ${SIMULATE_SCENARIO}).`);
+    simulator.start();
+  } else if (replay) {
+    const speed = Number.isFinite(REPLAY_SPEED) ? `${REPLAY_SPEED}x` : "max";
+    console.log(`Replaying ${REPLAY_PATH} at ${speed} speed.`);
+    replay.start().catch((error) => {
+      console.error("Failed to replay recording:", error.message);
+    });
+  }
   historySyncTimer = setInterval(() => {
     syncMinuteHistory(false);
+    syncFuturesDeltaHistory();
   }, HISTORY_SYNC_MS);
 });
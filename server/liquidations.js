@@ -0,0 +1,265 @@
+import { EXCHANGE_ADAPTERS } from "./exchanges.js";
+import { createUpstreamSocket, upstreamFetch } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+const OKX_INSTRUMENTS_URL = "https://www.okx.com/api/v5/public/instruments?instType=SWAP";
+
+/** Adds the venue fields every liquidation row carries. */
+function toLiquidation(exchangeId, { side, price, qty, ts }) {
+  const adapter = EXCHANGE_ADAPTERS[exchangeId];
+  return {
+    exchange: adapter.name,
+    exchangeId: adapter.id,
+    logoUrl: adapter.logoUrl,
+    side,
+    price,
+    qty,
+    notional: price * qty,
+    ts: ts || Date.now()
+  };
+}
+
+/**
+ * Binance USDⓈ-M futures `@forceOrder`. `S` is the side of the forced
+ * order, so a liquidated long arrives as SELL.
+ */
+function startBinanceLiquidations({ pairs, onLiquidation }) {
+  const streams = pairs.map(({ symbol }) => `${symbol.toLowerCase()}@forceOrder`).join("/");
+
+  const socket = createUpstreamSocket({
+    name: "Binance forceOrder",
+    url: `wss://fstream.binance.com/stream?streams=${streams}`,
+    onOpen: () => console.log("Connected to Binance forceOrder WS."),
+    onMessage: (text) => {
+      const order = JSON.parse(text)?.data?.o;
+      const pair = pairs.find(({ symbol }) => symbol === order?.s);
+      if (!order || !pair) {
+        return;
+      }
+
+      const qty = toNumber(order.q);
+      const price = toNumber(order.ap || order.p);
+      if (qty <= 0 || price <= 0) {
+        return;
+      }
+      onLiquidation(
+        pair.symbol,
+        toLiquidation("binance", {
+          side: order.S === "SELL" ? "sell" : "buy",
+          price,
+          qty,
+          ts: toNumber(order.T)
+        })
+      );
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/**
+ * Bybit linear `allLiquidation`. `S` is the side of the liquidated
+ * position, so "Buy" (a long) maps to a forced sell like Binance's feed.
+ */
+function startBybitLiquidations({ pairs, onLiquidation }) {
+  const topics = pairs.map(({ symbol }) => `allLiquidation.${symbol}`);
+
+  const socket = createUpstreamSocket({
+    name: "Bybit allLiquidation",
+    url: "wss://stream.bybit.com/v5/public/linear",
+    keepAlive: { intervalMs: 20_000, message: { op: "ping" } },
+    onOpen: () => socket.send({ op: "subscribe", args: topics }),
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      if (!String(message?.topic).startsWith("allLiquidation.") || !Array.isArray(message.data)) {
+        return;
+      }
+
+      for (const item of message.data) {
+        const pair = pairs.find(({ symbol }) => symbol === item.s);
+        const qty = toNumber(item.v);
+        const price = toNumber(item.p);
+        if (!pair || qty <= 0 || price <= 0) {
+          continue;
+        }
+        onLiquidation(
+          pair.symbol,
+          toLiquidation("bybit", {
+            side: item.S === "Buy" ? "sell" : "buy",
+            price,
+            qty,
+            ts: toNumber(item.T)
+          })
+        );
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/**
+ * OKX `liquidation-orders` for perpetual swaps. Sizes are in contracts, so
+ * the contract value (`ctVal`, in base asset) of every instrument is loaded
+ * before subscribing.
+ */
+function startOkxLiquidations({ pairs, onLiquidation }) {
+  const instruments = new Map(pairs.map((pair) => [`${pair.base}-USDT-SWAP`, pair]));
+  /** @type {Map<string, number>} */
+  const contractValues = new Map();
+
+  async function loadContractValues() {
+    const res = await upstreamFetch(OKX_INSTRUMENTS_URL);
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}`);
+    }
+    const json = await res.json();
+    for (const item of json?.data ?? []) {
+      if (instruments.has(item.instId)) {
+        contractValues.set(item.instId, toNumber(item.ctVal));
+      }
+    }
+  }
+
+  const socket = createUpstreamSocket({
+    name: "OKX liquidation-orders",
+    url: "wss://ws.okx.com:8443/ws/v5/public",
+    keepAlive: { intervalMs: 25_000, message: "ping" },
+    onOpen: async () => {
+      if (contractValues.size === 0) {
+        try {
+          await loadContractValues();
+        } catch (error) {
+          console.error("Failed to load OKX contract values:", error.message);
+          socket.reconnect();
+          return;
+        }
+      }
+      socket.send({ op: "subscribe", args: [{ channel: "liquidation-orders", instType: "SWAP" }] });
+    },
+    onMessage: (text) => {
+      if (text === "pong") {
+        return;
+      }
+      const message = JSON.parse(text);
+      if (message?.arg?.channel !== "liquidation-orders" || !Array.isArray(message.data)) {
+        return;
+      }
+
+      for (const item of message.data) {
+        const pair = instruments.get(item.instId);
+        const contractValue = contractValues.get(item.instId);
+        if (!pair || !contractValue) {
+          continue;
+        }
+        for (const detail of item.details ?? []) {
+          const qty = toNumber(detail.sz) * contractValue;
+          const price = toNumber(detail.bkPx);
+          if (qty <= 0 || price <= 0) {
+            continue;
+          }
+          onLiquidation(
+            pair.symbol,
+            toLiquidation("okx", {
+              side: detail.side === "sell" ? "sell" : "buy",
+              price,
+              qty,
+              ts: toNumber(detail.ts)
+            })
+          );
+        }
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** Venues with a public liquidation stream. */
+export const LIQUIDATION_STREAMS = {
+  binance: startBinanceLiquidations,
+  bybit: startBybitLiquidations,
+  okx: startOkxLiquidations
+};
+
+export const DEFAULT_LIQUIDATION_EXCHANGE_IDS = Object.keys(LIQUIDATION_STREAMS);
+
+/**
+ * Starts one liquidation stream covering every `{ symbol, base }` pair.
+ * `onLiquidation(symbol, row)` gets rows with the venue's id, name and
+ * logo. Each stream reconnects on its own; returns a handle with `stop()`.
+ */
+export function startLiquidationStream(exchangeId, options) {
+  return LIQUIDATION_STREAMS[exchangeId](options);
+}
+
+/** Rolling windows reported by the liquidation stats, longest last. */
+export const LIQUIDATION_STATS_WINDOWS = {
+  "5m": 5 * 60_000,
+  "1h": 60 * 60_000,
+  "4h": 4 * 60 * 60_000,
+  "24h": 24 * 60 * 60_000
+};
+
+const MAX_STATS_WINDOW_MS = Math.max(...Object.values(LIQUIDATION_STATS_WINDOWS));
+
+function emptySide() {
+  return { notional: 0, qty: 0, count: 0 };
+}
+
+/**
+ * Keeps the last 24h of liquidations and sums them per window. A forced
+ * sell closes a long, so `side: "sell"` counts as a long liquidation.
+ */
+export function createLiquidationStats() {
+  /** @type {Array<{exchangeId?:string,side:string,price:number,qty:number,notional:number,ts:number}>} */
+  let items = [];
+
+  function prune(now) {
+    const cutoff = now - MAX_STATS_WINDOW_MS;
+    if (items.length > 0 && items[0].ts < cutoff) {
+      items = items.filter((item) => item.ts >= cutoff);
+    }
+  }
+
+  return {
+    add(item) {
+      items.push(item);
+      if (items.length > 1 && item.ts < items[items.length - 2].ts) {
+        items.sort((a, b) => a.ts - b.ts);
+      }
+    },
+
+    seed(history) {
+      items = [...history].sort((a, b) => a.ts - b.ts);
+      prune(Date.now());
+    },
+
+    snapshot(now = Date.now()) {
+      prune(now);
+      return Object.fromEntries(
+        Object.entries(LIQUIDATION_STATS_WINDOWS).map(([window, windowMs]) => {
+          const stats = { long: emptySide(), short: emptySide(), count: 0, notional: 0, largest: null };
+          for (const item of items) {
+            if (item.ts < now - windowMs) {
+              continue;
+            }
+            const side = item.side === "sell" ? stats.long : stats.short;
+            side.notional += item.notional;
+            side.qty += item.qty;
+            side.count += 1;
+            stats.count += 1;
+            stats.notional += item.notional;
+            if (!stats.largest || item.notional > stats.largest.notional) {
+              stats.largest = item;
+            }
+          }
+          return [window, stats];
+        })
+      );
+    }
+  };
+}
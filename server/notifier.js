@@ -0,0 +1,277 @@
+import { createHmac } from "crypto";
+import { readFile } from "fs/promises";
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 20;
+// Liquidations and walls below this notional are not worth a post unless a
+// channel sets its own `minNotional`.
+const DEFAULT_MIN_NOTIONAL = 1_000_000;
+const MAX_QUEUE = 100;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2_000;
+const RETRY_MAX_DELAY_MS = 60_000;
+
+/** Event types the server notifies about. */
+export const NOTIFY_EVENTS = ["liquidation", "dailyHigh", "dailyLow", "wall", "alert"];
+
+const DEFAULT_TEMPLATES = {
+  liquidation: "🔥 {{symbol}} {{position}} liquidated on {{exchange}}: ${{notional}} at {{price}}",
+  dailyHigh: "🚀 {{symbol}} new daily high: {{price}}",
+  dailyLow: "🔻 {{symbol}} new daily low: {{price}}",
+  wall: "🐋 {{symbol}} {{side}} wall on {{exchange}}: {{size}} at {{price}} (${{notional}})",
+  alert: "🔔 {{message}}"
+};
+
+function formatValue(value) {
+  if (typeof value === "number") {
+    return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+  }
+  return value === null || value === undefined ? "" : String(value);
+}
+
+/** Replaces every `{{field}}` with the formatted field of `data`. */
+export function renderTemplate(template, data) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, field) => formatValue(data[field]));
+}
+
+/** Error that tells the queue whether the post is worth retrying. */
+function sendError(message, { retryable = false, retryAfterMs } = {}) {
+  return Object.assign(new Error(message), { retryable, retryAfterMs });
+}
+
+/** `signHeaders(payload)` returns extra headers computed from the raw body. */
+async function postJson(url, body, signHeaders = () => ({})) {
+  const payload = JSON.stringify(body);
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...signHeaders(payload) },
+      body: payload
+    });
+  } catch (error) {
+    throw sendError(error.message, { retryable: true });
+  }
+  if (res.ok) {
+    return;
+  }
+
+  const text = await res.text().catch(() => "");
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (_error) {
+    // Not every stand-in answers with JSON.
+  }
+  // Discord sends `retry_after` in seconds, Telegram `parameters.retry_after`.
+  const retryAfterSec =
+    toSeconds(res.headers.get("retry-after")) ??
+    toSeconds(json?.retry_after) ??
+    toSeconds(json?.parameters?.retry_after);
+  throw sendError(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ""}`, {
+    retryable: res.status === 429 || res.status >= 500,
+    retryAfterMs: retryAfterSec === null ? undefined : retryAfterSec * 1000
+  });
+}
+
+function toSeconds(value) {
+  const seconds = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Transports by channel `type`. Each posts one rendered message and throws
+ * a `sendError` when it fails.
+ */
+const TRANSPORTS = {
+  discord: {
+    required: ["url"],
+    send: (channel, { text }) => postJson(channel.url, { content: text.slice(0, 2000) })
+  },
+  telegram: {
+    required: ["botToken", "chatId"],
+    send: (channel, { text }) =>
+      postJson(
+        `${channel.apiBaseUrl ?? "https://api.telegram.org"}/bot${channel.botToken}/sendMessage`,
+        { chat_id: channel.chatId, text, disable_web_page_preview: true }
+      )
+  },
+  // Generic JSON webhook, signed with HMAC-SHA256 of the raw body when a
+  // `secret` is set.
+  webhook: {
+    required: ["url"],
+    send: (channel, { event, text, data, ts }) =>
+      postJson(channel.url, { event, text, data, ts }, (payload) =>
+        channel.secret
+          ? {
+              "X-Signature-256": `sha256=${createHmac("sha256", channel.secret).update(payload).digest("hex")}`
+            }
+          : {}
+      )
+  }
+};
+
+/**
+ * Reads the channel list from a JSON file (`{ "channels": [...] }`).
+ * Channels with an unknown type or missing fields are skipped with a warning.
+ */
+export async function loadNotifierChannels(file) {
+  const config = JSON.parse(await readFile(file, "utf8"));
+  const channels = [];
+  for (const [idx, channel] of (config?.channels ?? []).entries()) {
+    const id = channel?.id ?? `${channel?.type}-${idx}`;
+    if (!Object.hasOwn(TRANSPORTS, channel?.type)) {
+      console.warn(`Notifier channel "${id}" has unknown type "${channel?.type}", ignored.`);
+      continue;
+    }
+    const missing = TRANSPORTS[channel.type].required.filter((field) => !channel[field]);
+    if (missing.length > 0) {
+      console.warn(`Notifier channel "${id}" is missing ${missing.join(", ")}, ignored.`);
+      continue;
+    }
+    channels.push({ ...channel, id });
+  }
+  return channels;
+}
+
+function matches(channel, event, data) {
+  const events = channel.events ?? NOTIFY_EVENTS;
+  if (!events.includes("*") && !events.includes(event)) {
+    return false;
+  }
+  if (channel.symbols && !channel.symbols.includes(data.symbol)) {
+    return false;
+  }
+  if (typeof data.notional === "number" && data.notional < (channel.minNotional ?? DEFAULT_MIN_NOTIONAL)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Posts server events to the configured channels. Every channel has its
+ * own filter (`events`, `symbols`, `minNotional`), templates (`templates`
+ * per event, then `template`, then the defaults) and a FIFO queue that is
+ * drained at most `rateLimitPerMinute` messages a minute. Failed posts are
+ * retried with exponential backoff (or the `retry_after` the service asks
+ * for) up to MAX_ATTEMPTS times.
+ */
+export function createNotifier() {
+  /** @type {Map<string, {channel:object,queue:Array<object>,sentAt:number[],timer:NodeJS.Timeout|null,sending:boolean,sent:number,failed:number,dropped:number,lastError:string|null}>} */
+  const outlets = new Map();
+
+  function schedule(outlet, delay) {
+    if (outlet.timer) {
+      clearTimeout(outlet.timer);
+    }
+    outlet.timer = setTimeout(() => {
+      outlet.timer = null;
+      pump(outlet);
+    }, delay);
+  }
+
+  async function pump(outlet) {
+    const item = outlet.queue[0];
+    if (outlet.sending || !item || outlets.get(outlet.channel.id) !== outlet) {
+      return;
+    }
+
+    const now = Date.now();
+    const limit = outlet.channel.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE;
+    outlet.sentAt = outlet.sentAt.filter((ts) => ts > now - 60_000);
+    const wait = Math.max(
+      item.nextAttemptAt - now,
+      outlet.sentAt.length >= limit ? outlet.sentAt[0] + 60_000 - now : 0
+    );
+    if (wait > 0) {
+      schedule(outlet, wait);
+      return;
+    }
+
+    outlet.sending = true;
+    try {
+      await TRANSPORTS[outlet.channel.type].send(outlet.channel, item);
+      outlet.queue.shift();
+      outlet.sentAt.push(Date.now());
+      outlet.sent += 1;
+    } catch (error) {
+      item.attempts += 1;
+      outlet.lastError = error.message;
+      if (error.retryable && item.attempts < MAX_ATTEMPTS) {
+        item.nextAttemptAt =
+          Date.now() +
+          (error.retryAfterMs ??
+            Math.min(RETRY_BASE_DELAY_MS * 2 ** (item.attempts - 1), RETRY_MAX_DELAY_MS));
+        console.warn(`Notifier ${outlet.channel.id} failed (${error.message}), retry ${item.attempts}.`);
+      } else {
+        outlet.queue.shift();
+        outlet.failed += 1;
+        console.error(`Failed to notify ${outlet.channel.id}:`, error.message);
+      }
+    } finally {
+      outlet.sending = false;
+    }
+    pump(outlet);
+  }
+
+  function stop() {
+    for (const outlet of outlets.values()) {
+      if (outlet.timer) {
+        clearTimeout(outlet.timer);
+      }
+    }
+    outlets.clear();
+  }
+
+  return {
+    setChannels(channels) {
+      stop();
+      for (const channel of channels) {
+        outlets.set(channel.id, {
+          channel,
+          queue: [],
+          sentAt: [],
+          timer: null,
+          sending: false,
+          sent: 0,
+          failed: 0,
+          dropped: 0,
+          lastError: null
+        });
+      }
+    },
+
+    /** Queues `event` on every channel whose filter accepts `data`. */
+    notify(event, data) {
+      const ts = Date.now();
+      for (const outlet of outlets.values()) {
+        const { channel } = outlet;
+        if (!matches(channel, event, data)) {
+          continue;
+        }
+        const template = channel.templates?.[event] ?? channel.template ?? DEFAULT_TEMPLATES[event];
+        const text = renderTemplate(template, { event, ...data });
+        outlet.queue.push({ event, text, data, ts, attempts: 0, nextAttemptAt: 0 });
+        if (outlet.queue.length > MAX_QUEUE) {
+          // Keep the newest; a backlog this long is already out of date.
+          outlet.queue.splice(outlet.sending ? 1 : 0, 1);
+          outlet.dropped += 1;
+        }
+        pump(outlet);
+      }
+    },
+
+    stats() {
+      return [...outlets.values()].map((outlet) => ({
+        id: outlet.channel.id,
+        type: outlet.channel.type,
+        queued: outlet.queue.length,
+        sent: outlet.sent,
+        failed: outlet.failed,
+        dropped: outlet.dropped,
+        lastError: outlet.lastError
+      }));
+    },
+
+    stop
+  };
+}
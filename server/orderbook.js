@@ -0,0 +1,463 @@
+import { fetchKucoinPublicEndpoint } from "./exchanges.js";
+import { createUpstreamSocket, upstreamFetch } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+const SNAPSHOT_DEPTH = 1_000;
+const RESYNC_DELAY_MS = 1_000;
+// Diff streams also touch levels far from the spread; once a side grows past
+// this many levels only the best ones are kept.
+const MAX_LEVELS_PER_SIDE = 5_000;
+const TRIMMED_LEVELS_PER_SIDE = 2_000;
+
+/** Price -> size maps for both sides of one exchange's book. */
+export function createLocalBook() {
+  const bids = new Map();
+  const asks = new Map();
+  // Sorted sides, dropped on every update and rebuilt on the next read.
+  let sortedBids = null;
+  let sortedAsks = null;
+
+  function applyLevels(side, levels) {
+    for (const level of levels ?? []) {
+      const price = toNumber(level[0]);
+      const size = toNumber(level[1]);
+      if (price <= 0) {
+        continue;
+      }
+      if (size > 0) {
+        side.set(price, size);
+      } else {
+        side.delete(price);
+      }
+    }
+  }
+
+  function sorted(side, direction) {
+    return [...side].sort((a, b) => (a[0] - b[0]) * direction);
+  }
+
+  function trim(side, direction) {
+    if (side.size <= MAX_LEVELS_PER_SIDE) {
+      return;
+    }
+    for (const [price] of sorted(side, direction).slice(TRIMMED_LEVELS_PER_SIDE)) {
+      side.delete(price);
+    }
+  }
+
+  return {
+    reset(snapshot) {
+      sortedBids = null;
+      sortedAsks = null;
+      bids.clear();
+      asks.clear();
+      applyLevels(bids, snapshot.bids);
+      applyLevels(asks, snapshot.asks);
+    },
+
+    apply(update) {
+      sortedBids = null;
+      sortedAsks = null;
+      applyLevels(bids, update.bids);
+      applyLevels(asks, update.asks);
+      trim(bids, -1);
+      trim(asks, 1);
+    },
+
+    /**
+     * Best `depth` levels per side: bids highest first, asks lowest first.
+     * The sides are sorted when first read, so streams can hand this out on
+     * every diff and only the throttled consumers pay for the sort.
+     */
+    top(depth) {
+      return {
+        get bids() {
+          sortedBids ??= sorted(bids, -1).slice(0, depth);
+          return sortedBids;
+        },
+        get asks() {
+          sortedAsks ??= sorted(asks, 1).slice(0, depth);
+          return sortedAsks;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Binance: buffer `depthUpdate` events, load a REST snapshot, drop events
+ * the snapshot already covers, then require every event to start right
+ * after the previous one (`U === lastUpdateId + 1`).
+ */
+function startBinanceBook({ symbol, depth, onBook, onStatus }) {
+  const book = createLocalBook();
+  let synced = false;
+  let snapshotPending = false;
+  let stopped = false;
+  let resyncTimer = null;
+  let lastUpdateId = 0;
+  let buffer = [];
+
+  function applyEvent(event) {
+    const firstId = toNumber(event.U);
+    const finalId = toNumber(event.u);
+    if (finalId <= lastUpdateId) {
+      return true;
+    }
+    if (firstId > lastUpdateId + 1) {
+      resync(`sequence gap (${lastUpdateId} -> ${firstId})`);
+      return false;
+    }
+    book.apply({ bids: event.b, asks: event.a });
+    lastUpdateId = finalId;
+    return true;
+  }
+
+  async function loadSnapshot() {
+    if (stopped || snapshotPending) {
+      return;
+    }
+    snapshotPending = true;
+    onStatus("syncing");
+    try {
+      const res = await upstreamFetch(
+        `https://api.binance.com/api/v3/depth?symbol=${symbol}&limit=${SNAPSHOT_DEPTH}`
+      );
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const json = await res.json();
+      if (stopped) {
+        return;
+      }
+      book.reset({ bids: json?.bids, asks: json?.asks });
+      lastUpdateId = toNumber(json?.lastUpdateId);
+      synced = true;
+
+      const pending = buffer;
+      buffer = [];
+      for (const event of pending) {
+        if (!applyEvent(event)) {
+          return;
+        }
+      }
+      onStatus("ok");
+      onBook(book.top(depth));
+    } catch (error) {
+      if (stopped) {
+        return;
+      }
+      onStatus("error", error.message);
+      socket.reconnect();
+    } finally {
+      snapshotPending = false;
+    }
+  }
+
+  function resync(reason) {
+    console.warn(`Binance ${symbol} book ${reason}, resyncing.`);
+    synced = false;
+    buffer = [];
+    onStatus("syncing");
+    clearTimeout(resyncTimer);
+    resyncTimer = setTimeout(() => {
+      resyncTimer = null;
+      loadSnapshot();
+    }, RESYNC_DELAY_MS);
+  }
+
+  const socket = createUpstreamSocket({
+    name: `Binance ${symbol} depth`,
+    url: `wss://stream.binance.com:9443/ws/${symbol.toLowerCase()}@depth@100ms`,
+    onOpen: () => {
+      synced = false;
+      buffer = [];
+      loadSnapshot();
+    },
+    onMessage: (text) => {
+      const event = JSON.parse(text);
+      if (event?.e !== "depthUpdate") {
+        return;
+      }
+      if (!synced) {
+        buffer.push(event);
+        return;
+      }
+      if (applyEvent(event)) {
+        onBook(book.top(depth));
+      }
+    },
+    onClose: () => {
+      synced = false;
+      onStatus("error", "disconnected");
+    }
+  });
+
+  socket.start();
+  return {
+    ...socket,
+    // A pending resync must not fetch or reconnect once the book is stopped.
+    stop() {
+      stopped = true;
+      clearTimeout(resyncTimer);
+      socket.stop();
+    }
+  };
+}
+
+/**
+ * Bybit: the subscription starts with a snapshot, then deltas whose update
+ * id `u` grows by one. A gap drops the connection so the next subscription
+ * starts from a fresh snapshot.
+ */
+function startBybitBook({ symbol, depth, onBook, onStatus }) {
+  const book = createLocalBook();
+  const topic = `orderbook.50.${symbol}`;
+  let synced = false;
+  let lastUpdateId = 0;
+
+  const socket = createUpstreamSocket({
+    name: `Bybit ${symbol} orderbook`,
+    url: "wss://stream.bybit.com/v5/public/spot",
+    keepAlive: { intervalMs: 20_000, message: { op: "ping" } },
+    onOpen: () => {
+      synced = false;
+      onStatus("syncing");
+      socket.send({ op: "subscribe", args: [topic] });
+    },
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      const data = message?.data;
+      if (message?.topic !== topic || !data) {
+        return;
+      }
+
+      const updateId = toNumber(data.u);
+      // u === 1 is a snapshot Bybit resends after a service restart.
+      if (message.type === "snapshot" || updateId === 1) {
+        book.reset({ bids: data.b, asks: data.a });
+        synced = true;
+        onStatus("ok");
+      } else if (!synced) {
+        return;
+      } else if (updateId !== lastUpdateId + 1) {
+        console.warn(`Bybit ${symbol} book sequence gap (${lastUpdateId} -> ${updateId}), resyncing.`);
+        synced = false;
+        onStatus("syncing");
+        socket.reconnect();
+        return;
+      } else {
+        book.apply({ bids: data.b, asks: data.a });
+      }
+
+      lastUpdateId = updateId;
+      onBook(book.top(depth));
+    },
+    onClose: () => {
+      synced = false;
+      onStatus("error", "disconnected");
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/**
+ * OKX: `books` sends a snapshot, then updates whose `prevSeqId` must match
+ * the previous `seqId`.
+ */
+function startOkxBook({ symbol, depth, onBook, onStatus }) {
+  const book = createLocalBook();
+  let synced = false;
+  let lastSeqId = 0;
+
+  const socket = createUpstreamSocket({
+    name: `OKX ${symbol} books`,
+    url: "wss://ws.okx.com:8443/ws/v5/public",
+    keepAlive: { intervalMs: 25_000, message: "ping" },
+    onOpen: () => {
+      synced = false;
+      onStatus("syncing");
+      socket.send({ op: "subscribe", args: [{ channel: "books", instId: symbol }] });
+    },
+    onMessage: (text) => {
+      if (text === "pong") {
+        return;
+      }
+      const message = JSON.parse(text);
+      const data = message?.data?.[0];
+      if (message?.arg?.channel !== "books" || !data) {
+        return;
+      }
+
+      if (message.action === "snapshot") {
+        book.reset({ bids: data.bids, asks: data.asks });
+        synced = true;
+        onStatus("ok");
+      } else if (!synced) {
+        return;
+      } else if (toNumber(data.prevSeqId) !== lastSeqId) {
+        console.warn(`OKX ${symbol} book sequence gap (${lastSeqId} -> ${data.prevSeqId}), resyncing.`);
+        synced = false;
+        onStatus("syncing");
+        socket.reconnect();
+        return;
+      } else {
+        book.apply({ bids: data.bids, asks: data.asks });
+      }
+
+      lastSeqId = toNumber(data.seqId);
+      onBook(book.top(depth));
+    },
+    onClose: () => {
+      synced = false;
+      onStatus("error", "disconnected");
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/**
+ * KuCoin: like Binance, buffer `level2` changes, load a REST snapshot and
+ * continue from its `sequence`. Every change carries its own sequence.
+ */
+function startKucoinBook({ symbol, depth, onBook, onStatus }) {
+  const book = createLocalBook();
+  const topic = `/market/level2:${symbol}`;
+  let synced = false;
+  let snapshotPending = false;
+  let stopped = false;
+  let resyncTimer = null;
+  let sequence = 0;
+  let buffer = [];
+
+  function applyChange(data) {
+    const start = toNumber(data.sequenceStart);
+    const end = toNumber(data.sequenceEnd);
+    if (end <= sequence) {
+      return true;
+    }
+    if (start > sequence + 1) {
+      resync(`sequence gap (${sequence} -> ${start})`);
+      return false;
+    }
+    const fresh = (levels) => (levels ?? []).filter((level) => toNumber(level[2]) > sequence);
+    book.apply({ bids: fresh(data.changes?.bids), asks: fresh(data.changes?.asks) });
+    sequence = end;
+    return true;
+  }
+
+  async function loadSnapshot() {
+    if (stopped || snapshotPending) {
+      return;
+    }
+    snapshotPending = true;
+    onStatus("syncing");
+    try {
+      const res = await upstreamFetch(
+        `https://api.kucoin.com/api/v1/market/orderbook/level2_100?symbol=${symbol}`
+      );
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const json = await res.json();
+      if (stopped) {
+        return;
+      }
+      book.reset({ bids: json?.data?.bids, asks: json?.data?.asks });
+      sequence = toNumber(json?.data?.sequence);
+      synced = true;
+
+      const pending = buffer;
+      buffer = [];
+      for (const data of pending) {
+        if (!applyChange(data)) {
+          return;
+        }
+      }
+      onStatus("ok");
+      onBook(book.top(depth));
+    } catch (error) {
+      if (stopped) {
+        return;
+      }
+      onStatus("error", error.message);
+      socket.reconnect();
+    } finally {
+      snapshotPending = false;
+    }
+  }
+
+  function resync(reason) {
+    console.warn(`KuCoin ${symbol} book ${reason}, resyncing.`);
+    synced = false;
+    buffer = [];
+    onStatus("syncing");
+    clearTimeout(resyncTimer);
+    resyncTimer = setTimeout(() => {
+      resyncTimer = null;
+      loadSnapshot();
+    }, RESYNC_DELAY_MS);
+  }
+
+  const socket = createUpstreamSocket({
+    name: `KuCoin ${symbol} level2`,
+    url: fetchKucoinPublicEndpoint,
+    keepAlive: { intervalMs: 18_000, message: () => ({ id: String(Date.now()), type: "ping" }) },
+    onOpen: () => {
+      synced = false;
+      buffer = [];
+      socket.send({ id: String(Date.now()), type: "subscribe", topic, response: true });
+      loadSnapshot();
+    },
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      if (message?.type !== "message" || message.topic !== topic || !message.data) {
+        return;
+      }
+      if (!synced) {
+        buffer.push(message.data);
+        return;
+      }
+      if (applyChange(message.data)) {
+        onBook(book.top(depth));
+      }
+    },
+    onClose: () => {
+      synced = false;
+      onStatus("error", "disconnected");
+    }
+  });
+
+  socket.start();
+  return {
+    ...socket,
+    // A pending resync must not fetch or reconnect once the book is stopped.
+    stop() {
+      stopped = true;
+      clearTimeout(resyncTimer);
+      socket.stop();
+    }
+  };
+}
+
+/** Exchanges whose books are kept locally from their depth streams. */
+export const ORDER_BOOK_STREAMS = {
+  binance: startBinanceBook,
+  bybit: startBybitBook,
+  okx: startOkxBook,
+  kucoin: startKucoinBook
+};
+
+/**
+ * Starts a local book for one adapter and pair. `onBook` gets the best
+ * `depth` levels after every applied update, sorted on first read;
+ * `onStatus` gets "syncing", "ok" or "error" with a message. Returns a
+ * handle with `stop()`.
+ */
+export function startOrderBookStream(adapterId, options) {
+  return ORDER_BOOK_STREAMS[adapterId](options);
+}
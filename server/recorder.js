@@ -0,0 +1,267 @@
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, open, readdir, rm, stat } from "fs/promises";
+import path from "path";
+
+const FILE_PATTERN = /^upstream-.+\.ndjson$/;
+// At max speed the replay yields to the event loop after this many records
+// so the server still emits and answers requests.
+const MAX_SPEED_BATCH = 500;
+// Query parameters that differ between the live request and its replay.
+const VOLATILE_PARAMS = ["startTime", "endTime", "timestamp"];
+
+/**
+ * Writes every upstream record as one NDJSON line,
+ * `{ ts, type, source, ...fields }` with `ts` the receive time, to
+ * `upstream-<start time>.ndjson` files in `dir`. A new file is started once
+ * the current one reaches `maxFileBytes`; only the newest `maxFiles` are kept.
+ */
+export function createRecorder({ dir, maxFileBytes, maxFiles }) {
+  const ready = mkdir(dir, { recursive: true });
+  let stream = null;
+  let bytes = 0;
+  let closing = false;
+
+  /** Keeps `current` and the newest `maxFiles - 1` older recordings. */
+  async function prune(current) {
+    const older = (await readdir(dir))
+      .filter((name) => FILE_PATTERN.test(name) && name !== current)
+      .sort();
+    for (const name of older.slice(0, Math.max(0, older.length - (maxFiles - 1)))) {
+      await rm(path.join(dir, name));
+    }
+  }
+
+  function rotate() {
+    stream?.end();
+    const name = `upstream-${new Date().toISOString().replace(/[:.]/g, "-")}.ndjson`;
+    const file = path.join(dir, name);
+    stream = createWriteStream(file, { flags: "a" });
+    stream.on("error", (error) => {
+      console.error(`Failed to write ${path.basename(file)}:`, error.message);
+    });
+    bytes = 0;
+    prune(name).catch((error) => {
+      console.error("Failed to prune recordings:", error.message);
+    });
+  }
+
+  return {
+    /** `type` is "open", "message" or "close" for sockets and "rest" for responses. */
+    record(type, source, fields = {}) {
+      if (closing) {
+        return;
+      }
+      const line = `${JSON.stringify({ ts: Date.now(), type, source, ...fields })}\n`;
+      ready.then(() => {
+        if (!stream || bytes >= maxFileBytes) {
+          rotate();
+        }
+        bytes += Buffer.byteLength(line);
+        stream.write(line);
+      });
+    },
+
+    close() {
+      closing = true;
+      return ready.then(
+        () =>
+          new Promise((resolve) => {
+            if (!stream) {
+              resolve();
+              return;
+            }
+            stream.end(resolve);
+          })
+      );
+    }
+  };
+}
+
+/** Lines of a file with their byte offset and length. */
+async function* readLines(file) {
+  let offset = 0;
+  let rest = Buffer.alloc(0);
+  for await (const chunk of createReadStream(file)) {
+    const buffer = rest.length > 0 ? Buffer.concat([rest, chunk]) : chunk;
+    let start = 0;
+    let end = buffer.indexOf(10, start);
+    while (end !== -1) {
+      yield { text: buffer.toString("utf8", start, end), offset: offset + start, length: end - start };
+      start = end + 1;
+      end = buffer.indexOf(10, start);
+    }
+    offset += start;
+    rest = buffer.subarray(start);
+  }
+  if (rest.length > 0) {
+    yield { text: rest.toString("utf8"), offset, length: rest.length };
+  }
+}
+
+/** The URL a response is looked up by: the live one without time parameters. */
+function replayKey(url) {
+  const parsed = new URL(url);
+  for (const param of VOLATILE_PARAMS) {
+    parsed.searchParams.delete(param);
+  }
+  return parsed.toString();
+}
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function toResponse(status, body) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status });
+}
+
+/**
+ * Plays a recording (one file, or every recording in a directory in name
+ * order) back through the socket handlers attached under the recorded
+ * source names. `speed` is a multiplier of the recorded pace, `Infinity`
+ * for as fast as possible. REST requests are answered with the latest
+ * recorded response for their URL at the replay position, or the first
+ * one before it has been reached.
+ */
+export function createReplay(target, { speed }) {
+  /** @type {string[]} */
+  let files = [];
+  /** @type {Map<string, Array<{ts:number,file:string,offset:number,length:number}>>} */
+  const responses = new Map();
+  /** @type {Map<string, {onOpen?:Function,onMessage:Function,onClose?:Function}>} */
+  const handlers = new Map();
+  let position = -Infinity;
+  let stopped = false;
+  let wakeUp = null;
+
+  async function readRecord({ file, offset, length }) {
+    const handle = await open(file, "r");
+    try {
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+      return JSON.parse(buffer.toString("utf8"));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  function dispatch(record) {
+    const handler = handlers.get(record.source);
+    if (!handler) {
+      return;
+    }
+    if (record.type === "open") {
+      handler.onOpen?.();
+    } else if (record.type === "close") {
+      handler.onClose?.();
+    } else if (record.type === "message") {
+      try {
+        handler.onMessage(record.data);
+      } catch (error) {
+        console.error(`Failed to handle ${record.source} WS message:`, error.message);
+      }
+    }
+  }
+
+  return {
+    /** Finds the recording files and indexes their REST responses. */
+    async load() {
+      files = (await stat(target)).isDirectory()
+        ? (await readdir(target))
+            .filter((name) => FILE_PATTERN.test(name))
+            .sort()
+            .map((name) => path.join(target, name))
+        : [target];
+      if (files.length === 0) {
+        throw new Error(`No recordings in ${target}`);
+      }
+
+      for (const file of files) {
+        for await (const line of readLines(file)) {
+          // Only REST lines are parsed here; socket payloads are escaped
+          // strings, so they never contain this sequence.
+          if (!line.text.includes('"type":"rest"')) {
+            continue;
+          }
+          try {
+            const { ts, source } = JSON.parse(line.text);
+            const key = replayKey(source);
+            const list = responses.get(key) ?? [];
+            list.push({ ts, file, offset: line.offset, length: line.length });
+            responses.set(key, list);
+          } catch (_error) {
+            // A torn last line after a crash is skipped, not fatal.
+          }
+        }
+      }
+      console.log(`Replay loaded ${files.length} file(s), ${responses.size} REST endpoints.`);
+    },
+
+    attach(source, handler) {
+      handlers.set(source, handler);
+    },
+
+    detach(source) {
+      handlers.delete(source);
+    },
+
+    async fetch(url) {
+      const list = responses.get(replayKey(url));
+      if (!list) {
+        throw new Error(`${url} is not in the recording`);
+      }
+      const latest = list.findLast((entry) => entry.ts <= position) ?? list[0];
+      const record = await readRecord(latest);
+      return toResponse(record.status, record.data);
+    },
+
+    /** Plays the recording once; resolves when it ends or is stopped. */
+    async start() {
+      const startedAt = Date.now();
+      let firstTs = null;
+      let count = 0;
+      for (const file of files) {
+        for await (const line of readLines(file)) {
+          if (stopped) {
+            return;
+          }
+          let record;
+          try {
+            record = JSON.parse(line.text);
+          } catch (_error) {
+            continue;
+          }
+          firstTs ??= record.ts;
+          if (Number.isFinite(speed)) {
+            const wait = startedAt + (record.ts - firstTs) / speed - Date.now();
+            if (wait > 0) {
+              await sleep(wait);
+              if (stopped) {
+                return;
+              }
+            }
+          } else if (count % MAX_SPEED_BATCH === 0) {
+            await new Promise((resolve) => setImmediate(resolve));
+          }
+          position = record.ts;
+          count += 1;
+          dispatch(record);
+        }
+      }
+      console.log(`Replay finished after ${count} records.`);
+    },
+
+    stop() {
+      stopped = true;
+      wakeUp?.();
+    }
+  };
+}
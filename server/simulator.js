@@ -0,0 +1,1161 @@
+import { readFile } from "fs/promises";
+import path from "path";
+import { MINUTE_MS, TIMEFRAMES, bucketStart } from "./candles.js";
+import { niceStep } from "./heatmap.js";
+import { toNumber } from "./utils.js";
+
+const TICK_MS = 100;
+// Open klines, mini tickers and open interest move once a second.
+const SLOW_TICK_MS = 1_000;
+const HISTORY_DAYS = 30;
+const MAX_HISTORY_MINUTES = (HISTORY_DAYS + 1) * 24 * 60;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const KLINE_INTERVALS = { "1m": MINUTE_MS, ...TIMEFRAMES };
+const OPEN_INTEREST_PERIOD_MS = 5 * MINUTE_MS;
+const FUNDING_INTERVAL_MS = 8 * 60 * MINUTE_MS;
+
+/** Starting prices by base asset; anything else starts at DEFAULT_BASE_PRICE. */
+const BASE_PRICES = { BTC: 65_000, ETH: 3_400, SOL: 150, BNB: 580, XRP: 0.6, DOGE: 0.15 };
+const DEFAULT_BASE_PRICE = 100;
+/** Other pairs of the market list; they only wander, nothing streams for them. */
+const OTHER_MARKETS = {
+  BNBUSDT: 580,
+  XRPUSDT: 0.6,
+  DOGEUSDT: 0.15,
+  ADAUSDT: 0.45,
+  TRXUSDT: 0.12,
+  AVAXUSDT: 28,
+  LINKUSDT: 14,
+  TONUSDT: 5.5,
+  SUIUSDT: 1.8
+};
+
+/**
+ * Market-wide volatility regimes. `volatility` is the standard deviation of
+ * the log return per square-root second; `tradesPerSec` the mean trade rate.
+ */
+const REGIMES = {
+  calm: { volatility: 0.00004, tradesPerSec: 4, weight: 0.35 },
+  normal: { volatility: 0.00008, tradesPerSec: 10, weight: 0.45 },
+  volatile: { volatility: 0.0002, tradesPerSec: 25, weight: 0.2 }
+};
+const REGIME_MEAN_MS = 10 * MINUTE_MS;
+const MEDIAN_TRADE_NOTIONAL = 2_500;
+const TRADE_NOTIONAL_SIGMA = 1;
+const WHALE_CHANCE = 0.004;
+const WHALE_NOTIONAL = 400_000;
+const FUTURES_VOLUME_RATIO = 3;
+
+// The book is a grid of BOOK_STEP_BPS wide levels out to BOOK_RANGE_PCT
+// from the price; BOOK_CHURN of the levels change size every tick.
+const BOOK_STEP_BPS = 2;
+const BOOK_RANGE_PCT = 3;
+const BOOK_CHURN = 0.05;
+const LEVEL_NOTIONAL = 30_000;
+// Unscripted walls show up about this often per symbol and rest for 1–10 minutes.
+const WALL_MEAN_INTERVAL_MS = 2 * MINUTE_MS;
+const WALL_NOTIONAL = 800_000;
+const MAX_RANDOM_WALLS = 3;
+
+// Liquidations trickle in at BASE_LIQUIDATIONS_PER_SEC and burst with
+// LIQUIDATIONS_PER_MOVE_PER_SEC for every LIQUIDATION_MOVE of price change
+// over the last LIQUIDATION_LOOKBACK_MS.
+const BASE_LIQUIDATIONS_PER_SEC = 0.05;
+const LIQUIDATION_LOOKBACK_MS = 10_000;
+const LIQUIDATION_MOVE = 0.002;
+const LIQUIDATIONS_PER_MOVE_PER_SEC = 1;
+const LIQUIDATION_NOTIONAL = 25_000;
+const MAX_EVENTS_PER_TICK = 100;
+
+/**
+ * Built-in scenarios. A scenario is a list of phases played in order, after
+ * which the regime-switching random walk carries on (or the phases start
+ * over with `repeat`). Phase fields:
+ * - `durationSec` (required)
+ * - `movePct`: price change the phase drifts towards, in percent
+ * - `volatility`, `tradeRate`: multipliers of the current regime
+ * - `buyShare`: share of taker buys, 0–1 (follows the price moves by default)
+ * - `liquidations`: `{ side: "long" | "short", perSec, notional }`
+ * - `walls`: `[{ side: "bid" | "ask", distancePct, notional }]`, placed from
+ *   the price the phase starts at and pulled when it ends
+ */
+export const SIMULATOR_SCENARIOS = {
+  random: { phases: [] },
+  "flash-crash": {
+    phases: [
+      { durationSec: 60, volatility: 0.5 },
+      {
+        durationSec: 20,
+        movePct: -8,
+        volatility: 4,
+        tradeRate: 8,
+        buyShare: 0.15,
+        liquidations: { side: "long", perSec: 10 }
+      },
+      {
+        durationSec: 90,
+        movePct: 3,
+        volatility: 2,
+        tradeRate: 3,
+        buyShare: 0.6,
+        walls: [{ side: "bid", distancePct: 0.5, notional: 3_000_000 }]
+      }
+    ]
+  },
+  "short-squeeze": {
+    phases: [
+      {
+        durationSec: 60,
+        movePct: -1,
+        volatility: 0.7,
+        walls: [{ side: "ask", distancePct: 1.5, notional: 4_000_000 }]
+      },
+      {
+        durationSec: 45,
+        movePct: 6,
+        volatility: 3,
+        tradeRate: 6,
+        buyShare: 0.85,
+        liquidations: { side: "short", perSec: 8 }
+      },
+      { durationSec: 120, movePct: -1.5, volatility: 1.5, tradeRate: 2 }
+    ]
+  }
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function normalizePhase(phase, idx) {
+  const field = (name) => `phases[${idx}].${name}`;
+  const durationSec = toNumber(phase?.durationSec);
+  if (!(durationSec > 0)) {
+    throw new Error(`${field("durationSec")} must be a positive number`);
+  }
+  const normalized = { durationSec, movePct: toNumber(phase.movePct) };
+  if (normalized.movePct <= -100) {
+    throw new Error(`${field("movePct")} must be above -100`);
+  }
+  for (const name of ["volatility", "tradeRate"]) {
+    const value = toNumber(phase[name] ?? 1);
+    if (!(value > 0)) {
+      throw new Error(`${field(name)} must be a positive number`);
+    }
+    normalized[name] = value;
+  }
+  if (phase.buyShare !== undefined) {
+    const buyShare = toNumber(phase.buyShare);
+    if (buyShare < 0 || buyShare > 1) {
+      throw new Error(`${field("buyShare")} must be between 0 and 1`);
+    }
+    normalized.buyShare = buyShare;
+  }
+  if (phase.liquidations) {
+    const { side, perSec, notional } = phase.liquidations;
+    if (side !== "long" && side !== "short") {
+      throw new Error(`${field("liquidations.side")} must be one of long, short`);
+    }
+    if (!(toNumber(perSec) > 0)) {
+      throw new Error(`${field("liquidations.perSec")} must be a positive number`);
+    }
+    normalized.liquidations = {
+      side,
+      perSec: toNumber(perSec),
+      notional: toNumber(notional) || LIQUIDATION_NOTIONAL
+    };
+  }
+  if (phase.walls !== undefined) {
+    if (!Array.isArray(phase.walls)) {
+      throw new Error(`${field("walls")} must be an array`);
+    }
+    normalized.walls = phase.walls.map((wall, wallIdx) => {
+      if (wall?.side !== "bid" && wall?.side !== "ask") {
+        throw new Error(`${field(`walls[${wallIdx}].side`)} must be one of bid, ask`);
+      }
+      const distancePct = toNumber(wall.distancePct);
+      const notional = toNumber(wall.notional);
+      if (!(distancePct > 0 && distancePct < BOOK_RANGE_PCT) || !(notional > 0)) {
+        throw new Error(
+          `${field(`walls[${wallIdx}]`)} needs a distancePct below ${BOOK_RANGE_PCT} and a positive notional`
+        );
+      }
+      return { side: wall.side, distancePct, notional };
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Checks a scenario (see SIMULATOR_SCENARIOS) and fills in its defaults.
+ * Throws with a message for the client when a phase is invalid.
+ */
+export function normalizeScenario(input, name = "custom") {
+  if (!Array.isArray(input?.phases)) {
+    throw new Error("phases must be an array");
+  }
+  return {
+    name: String(input.name || name),
+    repeat: Boolean(input.repeat) && input.phases.length > 0,
+    phases: input.phases.map(normalizePhase)
+  };
+}
+
+/** A built-in scenario by name, or a scenario JSON file. */
+export async function loadScenario(nameOrPath) {
+  if (Object.hasOwn(SIMULATOR_SCENARIOS, nameOrPath)) {
+    return normalizeScenario(SIMULATOR_SCENARIOS[nameOrPath], nameOrPath);
+  }
+  const json = JSON.parse(await readFile(nameOrPath, "utf8"));
+  return normalizeScenario(json, path.basename(nameOrPath, ".json"));
+}
+
+/** mulberry32; `seed` makes the history and the first moves repeatable. */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+
+  const random = {
+    next,
+    gaussian() {
+      return Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+    },
+    lognormal(median, sigma) {
+      return median * Math.exp(sigma * random.gaussian());
+    },
+    /** Event count of a Poisson process with mean `mean`. */
+    poisson(mean) {
+      if (mean > 30) {
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * random.gaussian()));
+      }
+      const limit = Math.exp(-mean);
+      let count = 0;
+      let product = next();
+      while (product > limit) {
+        count += 1;
+        product *= next();
+      }
+      return count;
+    },
+    pick(weights) {
+      const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+      let roll = next() * total;
+      for (const [key, weight] of Object.entries(weights)) {
+        roll -= weight;
+        if (roll <= 0) {
+          return key;
+        }
+      }
+      return Object.keys(weights)[0];
+    }
+  };
+  return random;
+}
+
+function formatPrice(value) {
+  return Number(value.toPrecision(8)).toString();
+}
+
+function formatQty(value) {
+  return Number(value.toPrecision(6)).toString();
+}
+
+function regimeWeights() {
+  return Object.fromEntries(Object.entries(REGIMES).map(([name, { weight }]) => [name, weight]));
+}
+
+/** Index of the first candle starting at or after `ts`. */
+function firstIndexFrom(candles, ts) {
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candles[mid].startTime < ts) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function emptyCandle(startTime, price) {
+  return {
+    startTime,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    quoteVolume: 0,
+    buyVolume: 0,
+    buyQuoteVolume: 0,
+    trades: 0
+  };
+}
+
+/**
+ * Minute candles for the HISTORY_DAYS before `now`, from a regime-switching
+ * random walk scaled to end at `price`.
+ */
+function generateHistory(random, price, now) {
+  const count = HISTORY_DAYS * 24 * 60;
+  const firstStart = bucketStart(now, MINUTE_MS) - count * MINUTE_MS;
+  const steps = [];
+  let regime = random.pick(regimeWeights());
+  let level = 1;
+  for (let idx = 0; idx < count; idx += 1) {
+    if (random.next() < MINUTE_MS / REGIME_MEAN_MS) {
+      regime = random.pick(regimeWeights());
+    }
+    const { volatility, tradesPerSec } = REGIMES[regime];
+    const minuteVolatility = volatility * Math.sqrt(60);
+    const move = minuteVolatility * random.gaussian();
+    const open = level;
+    level *= Math.exp(move);
+    steps.push({
+      open,
+      close: level,
+      wickUp: Math.abs(random.gaussian()) * minuteVolatility * 0.4,
+      wickDown: Math.abs(random.gaussian()) * minuteVolatility * 0.4,
+      trades: Math.max(1, Math.round(random.lognormal(tradesPerSec * 60, 0.3))),
+      buyShare: clamp(0.5 + 0.12 * (move / minuteVolatility) + 0.04 * random.gaussian(), 0.05, 0.95)
+    });
+  }
+
+  const scale = price / level;
+  const meanTradeNotional = MEDIAN_TRADE_NOTIONAL * Math.exp(TRADE_NOTIONAL_SIGMA ** 2 / 2);
+  return steps.map((step, idx) => {
+    const open = step.open * scale;
+    const close = step.close * scale;
+    const average = (open + close) / 2;
+    const quoteVolume = step.trades * meanTradeNotional;
+    return {
+      startTime: firstStart + idx * MINUTE_MS,
+      open,
+      high: Math.max(open, close) * Math.exp(step.wickUp),
+      low: Math.min(open, close) * Math.exp(-step.wickDown),
+      close,
+      volume: quoteVolume / average,
+      quoteVolume,
+      buyVolume: (quoteVolume / average) * step.buyShare,
+      buyQuoteVolume: quoteVolume * step.buyShare,
+      trades: step.trades
+    };
+  });
+}
+
+/**
+ * Buckets of `intervalMs` from `from` on, at most `limit` of them, merged
+ * from minute candles.
+ */
+function aggregateCandles(candles, intervalMs, from, limit) {
+  const buckets = [];
+  let bucket = null;
+  for (let idx = firstIndexFrom(candles, from); idx < candles.length; idx += 1) {
+    const candle = candles[idx];
+    const start = bucketStart(candle.startTime, intervalMs);
+    if (start < from) {
+      continue;
+    }
+    if (bucket?.startTime !== start) {
+      if (buckets.length === limit) {
+        break;
+      }
+      bucket = { ...candle, startTime: start };
+      buckets.push(bucket);
+      continue;
+    }
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    for (const field of ["volume", "quoteVolume", "buyVolume", "buyQuoteVolume", "trades"]) {
+      bucket[field] += candle[field];
+    }
+  }
+  return buckets;
+}
+
+/** Binance kline row; `priceFactor`/`volumeFactor` turn spot into the perpetual. */
+function toKlineRow(candle, intervalMs, priceFactor = 1, volumeFactor = 1) {
+  return [
+    candle.startTime,
+    formatPrice(candle.open * priceFactor),
+    formatPrice(candle.high * priceFactor),
+    formatPrice(candle.low * priceFactor),
+    formatPrice(candle.close * priceFactor),
+    formatQty(candle.volume * volumeFactor),
+    candle.startTime + intervalMs - 1,
+    formatPrice(candle.quoteVolume * priceFactor * volumeFactor),
+    Math.round(candle.trades * volumeFactor),
+    formatQty(candle.buyVolume * volumeFactor),
+    formatPrice(candle.buyQuoteVolume * priceFactor * volumeFactor),
+    "0"
+  ];
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+/** Upper bound of every Fear & Greed classification. */
+const FEAR_GREED_CLASSES = [
+  [24, "Extreme Fear"],
+  [44, "Fear"],
+  [55, "Neutral"],
+  [74, "Greed"],
+  [100, "Extreme Greed"]
+];
+const INVALID_SYMBOL = { code: -1121, msg: "Invalid symbol." };
+
+/**
+ * Generates a market for `symbols` and serves it in the Binance wire
+ * formats, standing in for the exchanges like a replay does: sockets
+ * attach under their upstream names (`Binance`, `Binance forceOrder`,
+ * `Binance miniTicker`, `Binance futures aggTrade`, `Binance <symbol>
+ * depth`) and REST requests for Binance spot and futures, Stooq and
+ * alternative.me are answered from the simulated state. Other venues stay
+ * silent. `tradeStream` is the Binance trade stream the server listens to.
+ */
+export function createSimulator({ symbols, scenario, tradeStream = "trade", seed = Date.now() }) {
+  const random = createRandom(seed);
+  /** @type {Map<string, {onOpen?:Function,onMessage:Function,onClose?:Function}>} */
+  const handlers = new Map();
+  /** @type {Map<string, object>} */
+  const markets = new Map();
+  /** @type {Map<string, {price:number,open:number,quoteVolume:number}>} */
+  const otherMarkets = new Map();
+  /** @type {Map<string, {open:number,close:number,volume:number}>} */
+  const stocks = new Map();
+  let regime = "normal";
+  let regimeUntil = 0;
+  let script = null;
+  let running = false;
+  let tickTimer = null;
+  let lastSlowTickAt = 0;
+  let lastOtherMarketsAt = Date.now();
+  let nextTradeId = 1;
+
+  function isSimulated(source) {
+    return source === "Binance" || source.startsWith("Binance ");
+  }
+
+  function emit(source, payload) {
+    const handler = handlers.get(source);
+    if (!handler) {
+      return;
+    }
+    try {
+      handler.onMessage(JSON.stringify(payload));
+    } catch (error) {
+      console.error(`Failed to handle ${source} WS message:`, error.message);
+    }
+  }
+
+  function createMarket(symbol, now) {
+    const base = symbol.replace(/USDT$/, "");
+    const price = BASE_PRICES[base] ?? DEFAULT_BASE_PRICE;
+    const minutes = generateHistory(random, price, now);
+    const dayVolume = minutes.slice(-24 * 60).reduce((sum, candle) => sum + candle.volume, 0);
+    const openInterest = dayVolume * (0.3 + 0.2 * random.next());
+    // A day of 5m open interest samples, walking back from the current value.
+    const openInterestHistory = [];
+    let pastOpenInterest = openInterest;
+    let ts = bucketStart(now, OPEN_INTEREST_PERIOD_MS);
+    while (ts > now - DAY_MS - OPEN_INTEREST_PERIOD_MS) {
+      const candle = minutes[firstIndexFrom(minutes, ts) - 1] ?? minutes[minutes.length - 1];
+      openInterestHistory.unshift({ ts, openInterest: pastOpenInterest, price: candle.close });
+      pastOpenInterest *= Math.exp(0.004 * random.gaussian());
+      ts -= OPEN_INTEREST_PERIOD_MS;
+    }
+
+    const market = {
+      symbol,
+      stream: symbol.toLowerCase(),
+      price,
+      step: niceStep((price * BOOK_STEP_BPS) / 10_000),
+      minutes,
+      current: emptyCandle(bucketStart(now, MINUTE_MS), price),
+      samples: [{ ts: now, price }],
+      basis: 0.0002,
+      openInterest,
+      openInterestHistory,
+      /** Resting size per level without walls. */
+      levels: { bid: new Map(), ask: new Map() },
+      /** `${side}|${price}` -> { side, price, size, until, scripted } */
+      walls: new Map(),
+      /** Level sizes last sent, walls included. */
+      published: { bid: new Map(), ask: new Map() },
+      updateId: 1
+    };
+    updateBook(market, now);
+    return market;
+  }
+
+  function levelSize(price, distance) {
+    // Deeper levels rest a little more size.
+    return (random.lognormal(LEVEL_NOTIONAL, 0.6) * (1 + distance)) / price;
+  }
+
+  function roundToStep(market, price) {
+    return Number((Math.round(price / market.step) * market.step).toPrecision(12));
+  }
+
+  function addWall(market, { side, price, notional, until, scripted }) {
+    const level = roundToStep(market, price);
+    market.walls.set(`${side}|${level}`, { side, price: level, size: notional / level, until, scripted });
+  }
+
+  /**
+   * Moves the book onto the current price, churns some levels, adds and
+   * expires walls and returns the changed levels as Binance `[price, size]`
+   * strings.
+   */
+  function updateBook(market, now) {
+    const { price, step } = market;
+    const bestBid = roundToStep(market, Math.floor(price / step - 1e-9) * step);
+    const bestAsk = roundToStep(market, bestBid + step);
+    const count = Math.min(400, Math.ceil((price * BOOK_RANGE_PCT) / 100 / step));
+
+    for (const side of ["bid", "ask"]) {
+      const levels = market.levels[side];
+      const direction = side === "bid" ? -1 : 1;
+      const best = side === "bid" ? bestBid : bestAsk;
+      const wanted = new Set();
+      for (let idx = 0; idx < count; idx += 1) {
+        const level = roundToStep(market, best + direction * idx * step);
+        wanted.add(level);
+        if (!levels.has(level) || random.next() < BOOK_CHURN) {
+          levels.set(level, levelSize(price, idx / count));
+        }
+      }
+      for (const level of levels.keys()) {
+        if (!wanted.has(level)) {
+          levels.delete(level);
+        }
+      }
+    }
+
+    let randomWalls = 0;
+    for (const [key, wall] of market.walls) {
+      const crossed = wall.side === "bid" ? wall.price > bestBid : wall.price < bestAsk;
+      if (crossed || (wall.until !== null && now >= wall.until)) {
+        market.walls.delete(key);
+      } else if (!wall.scripted) {
+        randomWalls += 1;
+      }
+    }
+    if (randomWalls < MAX_RANDOM_WALLS && random.next() < TICK_MS / WALL_MEAN_INTERVAL_MS) {
+      const side = random.next() < 0.5 ? "bid" : "ask";
+      const distance = (0.2 + 1.3 * random.next()) / 100;
+      addWall(market, {
+        side,
+        price: price * (side === "bid" ? 1 - distance : 1 + distance),
+        notional: random.lognormal(WALL_NOTIONAL, 0.6),
+        until: now + MINUTE_MS * (1 + 9 * random.next()),
+        scripted: false
+      });
+    }
+
+    const changes = { bid: [], ask: [] };
+    for (const side of ["bid", "ask"]) {
+      const next = new Map(market.levels[side]);
+      for (const wall of market.walls.values()) {
+        if (wall.side === side && next.has(wall.price)) {
+          next.set(wall.price, next.get(wall.price) + wall.size);
+        }
+      }
+      const published = market.published[side];
+      for (const [level, size] of next) {
+        if (published.get(level) !== size) {
+          changes[side].push([formatPrice(level), formatQty(size)]);
+        }
+      }
+      for (const level of published.keys()) {
+        if (!next.has(level)) {
+          changes[side].push([formatPrice(level), "0"]);
+        }
+      }
+      market.published[side] = next;
+    }
+    return changes;
+  }
+
+  function sendTrade(market, { price, qty, side, ts }) {
+    const id = nextTradeId;
+    nextTradeId += 1;
+    const fill = { p: formatPrice(price), q: formatQty(qty), T: ts, m: side === "sell" };
+    const data =
+      tradeStream === "aggTrade"
+        ? { e: "aggTrade", E: ts, s: market.symbol, a: id, f: id, l: id, ...fill }
+        : { e: "trade", E: ts, s: market.symbol, t: id, ...fill };
+    emit("Binance", { stream: `${market.stream}@${tradeStream}`, data });
+
+    const candle = market.current;
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+    candle.close = price;
+    candle.volume += qty;
+    candle.quoteVolume += qty * price;
+    candle.trades += 1;
+    if (side === "buy") {
+      candle.buyVolume += qty;
+      candle.buyQuoteVolume += qty * price;
+    }
+  }
+
+  function sendFuturesTrades(market, volumes, ts) {
+    const price = market.price * (1 + market.basis);
+    for (const side of ["buy", "sell"]) {
+      if (volumes[side].qty <= 0) {
+        continue;
+      }
+      const first = nextTradeId;
+      nextTradeId += volumes[side].count;
+      emit("Binance futures aggTrade", {
+        stream: `${market.stream}@aggTrade`,
+        data: {
+          e: "aggTrade",
+          E: ts,
+          s: market.symbol,
+          a: first,
+          p: formatPrice(price),
+          q: formatQty(volumes[side].qty * FUTURES_VOLUME_RATIO),
+          f: first,
+          l: nextTradeId - 1,
+          T: ts,
+          m: side === "sell"
+        }
+      });
+    }
+  }
+
+  function sendKline(market, candle, closed, ts) {
+    emit("Binance", {
+      stream: `${market.stream}@kline_1m`,
+      data: {
+        e: "kline",
+        E: ts,
+        s: market.symbol,
+        k: {
+          t: candle.startTime,
+          T: candle.startTime + MINUTE_MS - 1,
+          s: market.symbol,
+          i: "1m",
+          o: formatPrice(candle.open),
+          c: formatPrice(candle.close),
+          h: formatPrice(candle.high),
+          l: formatPrice(candle.low),
+          v: formatQty(candle.volume),
+          n: candle.trades,
+          x: closed,
+          q: formatPrice(candle.quoteVolume),
+          V: formatQty(candle.buyVolume),
+          Q: formatPrice(candle.buyQuoteVolume)
+        }
+      }
+    });
+  }
+
+  /** Liquidation rates by side: a trickle, bursts after sharp moves, and the phase's own. */
+  function liquidationRates(market, phase, now) {
+    const rates = [{ side: random.next() < 0.5 ? "long" : "short", perSec: BASE_LIQUIDATIONS_PER_SEC }];
+    const past = market.samples.find((sample) => sample.ts >= now - LIQUIDATION_LOOKBACK_MS);
+    const move = past ? (market.price - past.price) / past.price : 0;
+    if (Math.abs(move) > LIQUIDATION_MOVE) {
+      rates.push({
+        side: move < 0 ? "long" : "short",
+        perSec: (LIQUIDATIONS_PER_MOVE_PER_SEC * Math.abs(move)) / LIQUIDATION_MOVE
+      });
+    }
+    if (phase?.liquidations) {
+      rates.push(phase.liquidations);
+    }
+    return rates;
+  }
+
+  function sendLiquidations(market, phase, now) {
+    for (const { side, perSec, notional } of liquidationRates(market, phase, now)) {
+      const count = Math.min(MAX_EVENTS_PER_TICK, random.poisson((perSec * TICK_MS) / 1_000));
+      for (let idx = 0; idx < count; idx += 1) {
+        // A liquidated long is a forced sell a little under the price.
+        const price = market.price * (1 + (side === "long" ? -1 : 1) * 0.0005 * random.next());
+        const qty = random.lognormal(notional ?? LIQUIDATION_NOTIONAL, 1) / price;
+        market.openInterest = Math.max(0, market.openInterest - qty);
+        emit("Binance forceOrder", {
+          stream: `${market.stream}@forceOrder`,
+          data: {
+            e: "forceOrder",
+            E: now,
+            o: {
+              s: market.symbol,
+              S: side === "long" ? "SELL" : "BUY",
+              o: "LIMIT",
+              f: "IOC",
+              q: formatQty(qty),
+              p: formatPrice(price),
+              ap: formatPrice(price),
+              X: "FILLED",
+              l: formatQty(qty),
+              z: formatQty(qty),
+              T: now
+            }
+          }
+        });
+      }
+    }
+  }
+
+  function stepMarket(market, phase, now) {
+    const seconds = TICK_MS / 1_000;
+    const { volatility, tradesPerSec } = REGIMES[regime];
+    const tickVolatility = volatility * (phase?.volatility ?? 1) * Math.sqrt(seconds);
+    const drift = phase ? (Math.log1p(phase.movePct / 100) / phase.durationSec) * seconds : 0;
+    const move = drift + tickVolatility * random.gaussian();
+    const previous = market.price;
+    market.price = previous * Math.exp(move);
+
+    const minute = bucketStart(now, MINUTE_MS);
+    if (minute > market.current.startTime) {
+      sendKline(market, market.current, true, now);
+      market.minutes.push(market.current);
+      if (market.minutes.length > MAX_HISTORY_MINUTES) {
+        market.minutes.splice(0, market.minutes.length - MAX_HISTORY_MINUTES);
+      }
+      market.current = emptyCandle(minute, market.current.close);
+    }
+
+    const buyShare = phase?.buyShare ?? clamp(0.5 + 0.12 * (move / tickVolatility), 0.1, 0.9);
+    const count = Math.min(
+      MAX_EVENTS_PER_TICK,
+      random.poisson(tradesPerSec * (phase?.tradeRate ?? 1) * seconds)
+    );
+    const volumes = { buy: { qty: 0, count: 0 }, sell: { qty: 0, count: 0 } };
+    for (let idx = 0; idx < count; idx += 1) {
+      const price = previous + ((market.price - previous) * (idx + 1)) / count;
+      const notional =
+        random.next() < WHALE_CHANCE
+          ? random.lognormal(WHALE_NOTIONAL, 0.6)
+          : random.lognormal(MEDIAN_TRADE_NOTIONAL, TRADE_NOTIONAL_SIGMA);
+      const side = random.next() < buyShare ? "buy" : "sell";
+      const qty = notional / price;
+      sendTrade(market, { price, qty, side, ts: now });
+      volumes[side].qty += qty;
+      volumes[side].count += 1;
+    }
+    sendFuturesTrades(market, volumes, now);
+    sendLiquidations(market, phase, now);
+
+    const changes = updateBook(market, now);
+    if (changes.bid.length > 0 || changes.ask.length > 0) {
+      market.updateId += 1;
+      emit(`Binance ${market.symbol} depth`, {
+        e: "depthUpdate",
+        E: now,
+        s: market.symbol,
+        U: market.updateId,
+        u: market.updateId,
+        b: changes.bid,
+        a: changes.ask
+      });
+    }
+  }
+
+  /** Once a second: open kline, mini ticker, basis and open interest. */
+  function slowStepMarket(market, now) {
+    sendKline(market, market.current, false, now);
+    market.samples.push({ ts: now, price: market.price });
+    market.samples = market.samples.filter(
+      (sample) => sample.ts >= now - LIQUIDATION_LOOKBACK_MS - SLOW_TICK_MS
+    );
+
+    const stats = dayStats(market, now);
+    emit("Binance miniTicker", {
+      stream: `${market.stream}@miniTicker`,
+      data: {
+        e: "24hrMiniTicker",
+        E: now,
+        s: market.symbol,
+        c: formatPrice(market.price),
+        o: formatPrice(stats.open),
+        h: formatPrice(stats.high),
+        l: formatPrice(stats.low),
+        v: formatQty(stats.volume),
+        q: formatPrice(stats.quoteVolume)
+      }
+    });
+
+    // The basis reverts towards 2 bps.
+    market.basis = clamp(
+      market.basis + 0.1 * (0.0002 - market.basis) + 0.00005 * random.gaussian(),
+      -0.003,
+      0.003
+    );
+    market.openInterest *= Math.exp(0.0003 * random.gaussian());
+    const period = bucketStart(now, OPEN_INTEREST_PERIOD_MS);
+    const history = market.openInterestHistory;
+    if (history[history.length - 1].ts < period) {
+      history.push({ ts: period, openInterest: market.openInterest, price: market.price });
+      history.splice(0, Math.max(0, history.length - 2 * 289));
+    }
+  }
+
+  function dayStats(market, now) {
+    const candles = [
+      ...market.minutes.slice(firstIndexFrom(market.minutes, now - DAY_MS)),
+      market.current
+    ];
+    const stats = { open: candles[0].open, high: -Infinity, low: Infinity, volume: 0, quoteVolume: 0 };
+    for (const candle of candles) {
+      stats.high = Math.max(stats.high, candle.high);
+      stats.low = Math.min(stats.low, candle.low);
+      stats.volume += candle.volume;
+      stats.quoteVolume += candle.quoteVolume;
+    }
+    stats.changePct = ((market.price - stats.open) / stats.open) * 100;
+    return stats;
+  }
+
+  function enterPhase(phase, now) {
+    for (const market of markets.values()) {
+      for (const wall of phase.walls ?? []) {
+        const direction = wall.side === "bid" ? -1 : 1;
+        addWall(market, {
+          side: wall.side,
+          price: market.price * (1 + (direction * wall.distancePct) / 100),
+          notional: wall.notional,
+          until: now + phase.durationSec * 1_000,
+          scripted: true
+        });
+      }
+    }
+  }
+
+  /** The phase that is playing at `now`, moving the script along. */
+  function currentPhase(now) {
+    if (!script) {
+      return null;
+    }
+    const { scenario: playing } = script;
+    while (now >= script.phaseEndsAt) {
+      script.phaseIdx += 1;
+      if (script.phaseIdx >= playing.phases.length) {
+        if (!playing.repeat) {
+          console.log(`Scenario ${playing.name} finished.`);
+          script = null;
+          return null;
+        }
+        script.phaseIdx = 0;
+      }
+      const phase = playing.phases[script.phaseIdx];
+      script.phaseEndsAt = now + phase.durationSec * 1_000;
+      console.log(`Scenario ${playing.name}: phase ${script.phaseIdx + 1}/${playing.phases.length}.`);
+      enterPhase(phase, now);
+    }
+    return playing.phases[script.phaseIdx];
+  }
+
+  function tick() {
+    const now = Date.now();
+    if (now >= regimeUntil) {
+      regime = random.pick(regimeWeights());
+      regimeUntil = now + random.lognormal(REGIME_MEAN_MS, 0.5);
+    }
+    const phase = currentPhase(now);
+    for (const market of markets.values()) {
+      stepMarket(market, phase, now);
+    }
+    if (now - lastSlowTickAt >= SLOW_TICK_MS) {
+      lastSlowTickAt = now;
+      for (const market of markets.values()) {
+        slowStepMarket(market, now);
+      }
+    }
+  }
+
+  function klinesResponse(params, futures) {
+    const market = markets.get(params.get("symbol"));
+    if (!market) {
+      return jsonResponse(INVALID_SYMBOL, 400);
+    }
+    const interval = params.get("interval");
+    if (!Object.hasOwn(KLINE_INTERVALS, interval)) {
+      return jsonResponse({ code: -1120, msg: "Invalid interval." }, 400);
+    }
+    const intervalMs = KLINE_INTERVALS[interval];
+    const limit = clamp(toNumber(params.get("limit")) || 500, 1, 1_000);
+    const from = params.has("startTime")
+      ? toNumber(params.get("startTime"))
+      : bucketStart(Date.now(), intervalMs) - (limit - 1) * intervalMs;
+    const candles = aggregateCandles([...market.minutes, market.current], intervalMs, from, limit);
+    return jsonResponse(
+      candles.map((candle) =>
+        futures
+          ? toKlineRow(candle, intervalMs, 1 + market.basis, FUTURES_VOLUME_RATIO)
+          : toKlineRow(candle, intervalMs)
+      )
+    );
+  }
+
+  function depthResponse(params) {
+    const market = markets.get(params.get("symbol"));
+    if (!market) {
+      return jsonResponse(INVALID_SYMBOL, 400);
+    }
+    const limit = clamp(toNumber(params.get("limit")) || 100, 1, 5_000);
+    const side = (name, direction) =>
+      [...market.published[name]]
+        .sort((a, b) => (a[0] - b[0]) * direction)
+        .slice(0, limit)
+        .map(([price, size]) => [formatPrice(price), formatQty(size)]);
+    return jsonResponse({ lastUpdateId: market.updateId, bids: side("bid", -1), asks: side("ask", 1) });
+  }
+
+  function tickerResponse() {
+    const now = Date.now();
+    const wander = Math.sqrt(Math.max(1, (now - lastOtherMarketsAt) / 1_000));
+    lastOtherMarketsAt = now;
+    for (const [symbol, price] of Object.entries(OTHER_MARKETS)) {
+      const other = otherMarkets.get(symbol) ?? {
+        price,
+        open: price * Math.exp(0.03 * random.gaussian()),
+        quoteVolume: random.lognormal(2e8, 0.8)
+      };
+      other.price *= Math.exp(0.0003 * wander * random.gaussian());
+      otherMarkets.set(symbol, other);
+    }
+
+    const rows = [...markets.values()].map((market) => {
+      const stats = dayStats(market, now);
+      return {
+        symbol: market.symbol,
+        open: stats.open,
+        price: market.price,
+        quoteVolume: stats.quoteVolume
+      };
+    });
+    for (const [symbol, other] of otherMarkets) {
+      if (!markets.has(symbol)) {
+        rows.push({ symbol, ...other });
+      }
+    }
+    return jsonResponse(
+      rows.map(({ symbol, open, price, quoteVolume }) => ({
+        symbol,
+        priceChange: formatPrice(price - open),
+        priceChangePercent: (((price - open) / open) * 100).toFixed(3),
+        openPrice: formatPrice(open),
+        lastPrice: formatPrice(price),
+        quoteVolume: quoteVolume.toFixed(2)
+      }))
+    );
+  }
+
+  /** Stooq's CSV quotes for the requested `s=aapl.us+msft.us` tickers. */
+  function stockResponse(url) {
+    const query = url.split("?")[1] ?? "";
+    const list = new URLSearchParams(query).get("s") ?? "";
+    const date = new Date().toISOString();
+    const lines = ["Symbol,Date,Time,Open,High,Low,Close,Volume"];
+    for (const ticker of list.split(/[+ ]/).filter(Boolean)) {
+      const stock = stocks.get(ticker) ?? {
+        open: 20 + 480 * random.next(),
+        close: 0,
+        volume: Math.round(random.lognormal(5e6, 0.7))
+      };
+      stock.close ||= stock.open * Math.exp(0.02 * random.gaussian());
+      stock.close *= Math.exp(0.001 * random.gaussian());
+      stocks.set(ticker, stock);
+      const high = Math.max(stock.open, stock.close);
+      const low = Math.min(stock.open, stock.close);
+      lines.push(
+        [ticker.toUpperCase(), date.slice(0, 10), date.slice(11, 19), stock.open, high, low, stock.close]
+          .map((value) => (typeof value === "number" ? value.toFixed(2) : value))
+          .concat(stock.volume)
+          .join(",")
+      );
+    }
+    return new Response(`${lines.join("\r\n")}\r\n`, { status: 200 });
+  }
+
+  /** Fear & Greed follows the day's change of the first symbol. */
+  function fearGreedResponse() {
+    const [market] = markets.values();
+    const value = Math.round(clamp(50 + 4 * dayStats(market, Date.now()).changePct, 5, 95));
+    const classification = FEAR_GREED_CLASSES.find(([max]) => value <= max)[1];
+    return jsonResponse({
+      name: "Fear and Greed Index",
+      data: [
+        {
+          value: String(value),
+          value_classification: classification,
+          timestamp: String(Math.floor(Date.now() / 1_000))
+        }
+      ]
+    });
+  }
+
+  function futuresResponse(pathname, params) {
+    const market = markets.get(params.get("symbol"));
+    if (!market) {
+      return jsonResponse(INVALID_SYMBOL, 400);
+    }
+    const now = Date.now();
+    const markPrice = market.price * (1 + market.basis);
+    switch (pathname) {
+      case "/fapi/v1/klines":
+        return klinesResponse(params, true);
+      case "/fapi/v1/premiumIndex":
+        return jsonResponse({
+          symbol: market.symbol,
+          markPrice: formatPrice(markPrice),
+          indexPrice: formatPrice(market.price),
+          lastFundingRate: clamp(market.basis / 3, -0.00075, 0.00075).toFixed(8),
+          nextFundingTime: bucketStart(now, FUNDING_INTERVAL_MS) + FUNDING_INTERVAL_MS,
+          time: now
+        });
+      case "/fapi/v1/openInterest":
+        return jsonResponse({
+          symbol: market.symbol,
+          openInterest: formatQty(market.openInterest),
+          time: now
+        });
+      case "/futures/data/openInterestHist":
+        return jsonResponse(
+          market.openInterestHistory.slice(-(toNumber(params.get("limit")) || 30)).map((row) => ({
+            symbol: market.symbol,
+            sumOpenInterest: formatQty(row.openInterest),
+            sumOpenInterestValue: (row.openInterest * row.price).toFixed(2),
+            timestamp: row.ts
+          }))
+        );
+      case "/futures/data/topLongShortPositionRatio": {
+        const longAccount = clamp(0.5 + dayStats(market, now).changePct / 40, 0.3, 0.75);
+        return jsonResponse([
+          {
+            symbol: market.symbol,
+            longShortRatio: (longAccount / (1 - longAccount)).toFixed(4),
+            longAccount: longAccount.toFixed(4),
+            shortAccount: (1 - longAccount).toFixed(4),
+            timestamp: bucketStart(now, OPEN_INTEREST_PERIOD_MS)
+          }
+        ]);
+      }
+      default:
+        return null;
+    }
+  }
+
+  function route(host, pathname, params, url) {
+    if (host === "api.binance.com") {
+      switch (pathname) {
+        case "/api/v3/klines":
+          return klinesResponse(params, false);
+        case "/api/v3/depth":
+          return depthResponse(params);
+        case "/api/v3/ticker/24hr":
+          return tickerResponse();
+        default:
+          return null;
+      }
+    }
+    if (host === "fapi.binance.com") {
+      return futuresResponse(pathname, params);
+    }
+    if (host === "stooq.com") {
+      return stockResponse(url);
+    }
+    if (host === "api.alternative.me") {
+      return fearGreedResponse();
+    }
+    return null;
+  }
+
+  return {
+    /** Builds the history and the book and loads the scenario, if any. */
+    async load() {
+      const now = Date.now();
+      for (const symbol of symbols) {
+        markets.set(symbol, createMarket(symbol, now));
+      }
+      if (scenario) {
+        const loaded = await loadScenario(scenario);
+        if (loaded.phases.length > 0) {
+          script = { scenario: loaded, phaseIdx: -1, phaseEndsAt: -Infinity };
+        }
+      }
+    },
+
+    attach(source, handler) {
+      handlers.set(source, handler);
+      if (running && isSimulated(source)) {
+        setImmediate(() => handlers.get(source)?.onOpen?.());
+      }
+    },
+
+    detach(source) {
+      handlers.delete(source);
+    },
+
+    async fetch(url) {
+      const parsed = new URL(url);
+      const response = route(parsed.host, parsed.pathname, parsed.searchParams, url);
+      if (!response) {
+        throw new Error(`${url} is not simulated`);
+      }
+      return response;
+    },
+
+    /** Opens the attached sockets and starts the market; runs until stopped. */
+    async start() {
+      running = true;
+      for (const [source, handler] of handlers) {
+        if (isSimulated(source)) {
+          handler.onOpen?.();
+        }
+      }
+      tickTimer = setInterval(tick, TICK_MS);
+    },
+
+    stop() {
+      running = false;
+      clearInterval(tickTimer);
+    },
+
+    /** Plays `next` (a normalized scenario) from its first phase, replacing the current one. */
+    play(next) {
+      for (const market of markets.values()) {
+        for (const [key, wall] of market.walls) {
+          if (wall.scripted) {
+            market.walls.delete(key);
+          }
+        }
+      }
+      script = next.phases.length > 0 ? { scenario: next, phaseIdx: -1, phaseEndsAt: -Infinity } : null;
+    },
+
+    status() {
+      return {
+        regime,
+        scenario: script
+          ? {
+              name: script.scenario.name,
+              phase: script.phaseIdx + 1,
+              phases: script.scenario.phases.length,
+              repeat: script.scenario.repeat
+            }
+          : null,
+        prices: Object.fromEntries([...markets].map(([symbol, market]) => [symbol, market.price]))
+      };
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// A source may miss one refresh before it is reported as stale.
+const STALE_REFRESHES = 2;
+
+/**
+ * Freshness of every data source behind the overlay. Sources are either
+ * global (`symbol: null`) or belong to one pair; each records its last
+ * success, last error and consecutive failures, and is `stale` once the
+ * last success (or its definition, before the first one) is older than
+ * STALE_REFRESHES × its `refreshMs`.
+ */
+export function createSourceRegistry() {
+  /** @type {Map<string, {id:string,symbol:string|null,label:string,refreshMs:number,definedAt:number,lastSuccessAt:number|null,lastErrorAt:number|null,lastError:string|null,consecutiveFailures:number}>} */
+  const sources = new Map();
+
+  function key(id, symbol) {
+    return symbol ? `${symbol}:${id}` : id;
+  }
+
+  function get(id, symbol) {
+    const source = sources.get(key(id, symbol));
+    if (!source) {
+      throw new Error(`Unknown data source "${key(id, symbol)}"`);
+    }
+    return source;
+  }
+
+  function toRow(source, now) {
+    return {
+      ...source,
+      stale: now - (source.lastSuccessAt ?? source.definedAt) > source.refreshMs * STALE_REFRESHES
+    };
+  }
+
+  return {
+    define(id, { symbol = null, label, refreshMs }) {
+      sources.set(key(id, symbol), {
+        id,
+        symbol,
+        label,
+        refreshMs,
+        definedAt: Date.now(),
+        lastSuccessAt: null,
+        lastErrorAt: null,
+        lastError: null,
+        consecutiveFailures: 0
+      });
+    },
+
+    success(id, symbol = null, now = Date.now()) {
+      const source = get(id, symbol);
+      source.lastSuccessAt = now;
+      source.consecutiveFailures = 0;
+    },
+
+    failure(id, symbol, error, now = Date.now()) {
+      const source = get(id, symbol);
+      source.lastErrorAt = now;
+      source.lastError = error?.message ?? String(error);
+      source.consecutiveFailures += 1;
+    },
+
+    /** Global sources plus those of `symbol`; every source when it is omitted. */
+    snapshot(symbol, now = Date.now()) {
+      return [...sources.values()]
+        .filter((source) => symbol === undefined || source.symbol === null || source.symbol === symbol)
+        .map((source) => toRow(source, now));
+    }
+  };
+}
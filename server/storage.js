@@ -0,0 +1,174 @@
+import { createReadStream, existsSync } from "fs";
+import { appendFile, mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import readline from "readline";
+
+/**
+ * Append-only NDJSON store. Every record kind gets one file per symbol
+ * (`candles-BTCUSDT.ndjson`, `liquidations-BTCUSDT.ndjson`, ...) and records
+ * are only ever appended in arrival order, so reads can stream a file top to
+ * bottom and stop early. Alert rules are the exception: a small JSON file
+ * that is rewritten as a whole.
+ */
+export function createStore(dataDir) {
+  const ready = mkdir(dataDir, { recursive: true });
+  /** @type {Map<string, Promise<void>>} */
+  const writeQueues = new Map();
+
+  function fileFor(kind, symbol) {
+    return path.join(dataDir, `${kind}-${symbol}.ndjson`);
+  }
+
+  function append(kind, symbol, record) {
+    const file = fileFor(kind, symbol);
+    const previous = writeQueues.get(file) || ready;
+    const next = previous
+      .then(() => appendFile(file, `${JSON.stringify(record)}\n`))
+      .catch((error) => {
+        console.error(`Failed to append to ${path.basename(file)}:`, error.message);
+      });
+    writeQueues.set(file, next);
+    return next;
+  }
+
+  /**
+   * Streams the records of a file in order. Reading stops as soon as
+   * `onRecord` returns `false`.
+   */
+  async function forEachRecord(kind, symbol, onRecord) {
+    await ready;
+    await writeQueues.get(fileFor(kind, symbol));
+
+    const file = fileFor(kind, symbol);
+    if (!existsSync(file)) {
+      return;
+    }
+
+    const input = createReadStream(file, { encoding: "utf8" });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) {
+          continue;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (_error) {
+          // A torn last line after a crash is skipped, not fatal.
+          continue;
+        }
+        if (onRecord(record) === false) {
+          break;
+        }
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  const alertRulesFile = path.join(dataDir, "alert-rules.json");
+  let alertRulesWrite = ready;
+
+  async function readTail(kind, symbol, limit) {
+    const tail = [];
+    await forEachRecord(kind, symbol, (record) => {
+      tail.push(record);
+      if (tail.length > limit) {
+        tail.shift();
+      }
+    });
+    return tail;
+  }
+
+  return {
+    appendCandle(symbol, candle) {
+      return append("candles", symbol, candle);
+    },
+
+    appendLiquidation(symbol, liquidation) {
+      return append("liquidations", symbol, liquidation);
+    },
+
+    appendWhaleTrade(symbol, print) {
+      return append("whale-trades", symbol, print);
+    },
+
+    appendTopBuyers(symbol, snapshot) {
+      return append("top-buyers", symbol, snapshot);
+    },
+
+    loadCandles(symbol, limit) {
+      return readTail("candles", symbol, limit);
+    },
+
+    loadLiquidations(symbol, limit) {
+      return readTail("liquidations", symbol, limit);
+    },
+
+    loadWhaleTrades(symbol, limit) {
+      return readTail("whale-trades", symbol, limit);
+    },
+
+    /** Stored liquidations with `ts >= from`, in arrival order. */
+    async loadLiquidationsSince(symbol, from) {
+      const rows = [];
+      await forEachRecord("liquidations", symbol, (item) => {
+        if (item.ts >= from) {
+          rows.push(item);
+        }
+      });
+      return rows;
+    },
+
+    async loadLatestTopBuyers(symbol) {
+      const [snapshot] = await readTail("top-buyers", symbol, 1);
+      return snapshot ?? null;
+    },
+
+    /**
+     * Returns at most `limit` stored candles with `from <= startTime <= to`,
+     * oldest first.
+     */
+    async queryCandles(symbol, { from, to, limit }) {
+      const rows = [];
+      await forEachRecord("candles", symbol, (candle) => {
+        if (candle.startTime > to) {
+          return false;
+        }
+        if (candle.startTime >= from) {
+          rows.push(candle);
+        }
+        return rows.length < limit;
+      });
+      return rows;
+    },
+
+    /**
+     * Writes to a temp file first so a crash never leaves half a rules file.
+     * Rejects when the write fails; the next save still runs.
+     */
+    saveAlertRules(rules) {
+      const tmp = `${alertRulesFile}.tmp`;
+      const write = alertRulesWrite
+        .then(() => writeFile(tmp, JSON.stringify(rules, null, 2)))
+        .then(() => rename(tmp, alertRulesFile));
+      alertRulesWrite = write.catch(() => {});
+      return write;
+    },
+
+    async loadAlertRules() {
+      await ready;
+      if (!existsSync(alertRulesFile)) {
+        return [];
+      }
+      const rules = JSON.parse(await readFile(alertRulesFile, "utf8"));
+      return Array.isArray(rules) ? rules : [];
+    },
+
+    async flush() {
+      await Promise.all([...writeQueues.values(), alertRulesWrite]);
+    }
+  };
+}
@@ -0,0 +1,219 @@
+import { EXCHANGE_ADAPTERS, fetchKucoinPublicEndpoint } from "./exchanges.js";
+import { createUpstreamSocket } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+// A venue that has not ticked for this long is left out of the index.
+const STALE_TICKER_MS = 30_000;
+
+/**
+ * Binance `@miniTicker`: close price and 24h quote volume once a second.
+ */
+function startBinanceTicker({ pairs, onTicker }) {
+  const streams = pairs.map(({ symbol }) => `${symbol.toLowerCase()}@miniTicker`).join("/");
+
+  const socket = createUpstreamSocket({
+    name: "Binance miniTicker",
+    url: `wss://stream.binance.com:9443/stream?streams=${streams}`,
+    onMessage: (text) => {
+      const data = JSON.parse(text)?.data;
+      const pair = pairs.find(({ symbol }) => symbol === data?.s);
+      if (pair) {
+        onTicker(pair.symbol, {
+          price: toNumber(data.c),
+          quoteVolume: toNumber(data.q),
+          ts: toNumber(data.E)
+        });
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** Bybit spot `tickers`: every push is a full snapshot. */
+function startBybitTicker({ pairs, onTicker }) {
+  const socket = createUpstreamSocket({
+    name: "Bybit tickers",
+    url: "wss://stream.bybit.com/v5/public/spot",
+    keepAlive: { intervalMs: 20_000, message: { op: "ping" } },
+    onOpen: () =>
+      socket.send({ op: "subscribe", args: pairs.map(({ symbol }) => `tickers.${symbol}`) }),
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      const data = message?.data;
+      const pair = pairs.find(({ symbol }) => message?.topic === `tickers.${symbol}`);
+      if (pair && data) {
+        onTicker(pair.symbol, {
+          price: toNumber(data.lastPrice),
+          quoteVolume: toNumber(data.turnover24h),
+          ts: toNumber(message.ts)
+        });
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** OKX `tickers`: `volCcy24h` is the 24h volume in the quote currency for spot. */
+function startOkxTicker({ pairs, onTicker }) {
+  const instruments = new Map(pairs.map((pair) => [`${pair.base}-USDT`, pair]));
+
+  const socket = createUpstreamSocket({
+    name: "OKX tickers",
+    url: "wss://ws.okx.com:8443/ws/v5/public",
+    keepAlive: { intervalMs: 25_000, message: "ping" },
+    onOpen: () =>
+      socket.send({
+        op: "subscribe",
+        args: [...instruments.keys()].map((instId) => ({ channel: "tickers", instId }))
+      }),
+    onMessage: (text) => {
+      if (text === "pong") {
+        return;
+      }
+      const message = JSON.parse(text);
+      const data = message?.data?.[0];
+      const pair = instruments.get(message?.arg?.instId);
+      if (message?.arg?.channel === "tickers" && pair && data) {
+        onTicker(pair.symbol, {
+          price: toNumber(data.last),
+          quoteVolume: toNumber(data.volCcy24h),
+          ts: toNumber(data.ts)
+        });
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** KuCoin `/market/snapshot`: price and 24h quote volume every ~2s. */
+function startKucoinTicker({ pairs, onTicker }) {
+  const topics = new Map(pairs.map((pair) => [`/market/snapshot:${pair.base}-USDT`, pair]));
+
+  const socket = createUpstreamSocket({
+    name: "KuCoin snapshot",
+    url: fetchKucoinPublicEndpoint,
+    keepAlive: { intervalMs: 18_000, message: () => ({ id: String(Date.now()), type: "ping" }) },
+    onOpen: () => {
+      for (const topic of topics.keys()) {
+        socket.send({ id: String(Date.now()), type: "subscribe", topic, response: true });
+      }
+    },
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      const data = message?.data?.data;
+      const pair = topics.get(message?.topic);
+      if (message?.type === "message" && pair && data) {
+        onTicker(pair.symbol, {
+          price: toNumber(data.lastTradedPrice),
+          quoteVolume: toNumber(data.volValue),
+          ts: toNumber(data.datetime)
+        });
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/**
+ * Coinbase `ticker` on the USD book, which is where Coinbase's volume is;
+ * the gap to the USDT venues is the usual "Coinbase premium".
+ */
+function startCoinbaseTicker({ pairs, onTicker }) {
+  const products = new Map(pairs.map((pair) => [`${pair.base}-USD`, pair]));
+
+  const socket = createUpstreamSocket({
+    name: "Coinbase ticker",
+    url: "wss://ws-feed.exchange.coinbase.com",
+    onOpen: () =>
+      socket.send({ type: "subscribe", product_ids: [...products.keys()], channels: ["ticker"] }),
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      const pair = products.get(message?.product_id);
+      if (message?.type === "ticker" && pair) {
+        const price = toNumber(message.price);
+        onTicker(pair.symbol, {
+          price,
+          quoteVolume: toNumber(message.volume_24h) * price,
+          ts: Date.parse(message.time) || Date.now()
+        });
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** Venues whose last price feeds the composite index. */
+export const TICKER_STREAMS = {
+  binance: startBinanceTicker,
+  bybit: startBybitTicker,
+  okx: startOkxTicker,
+  kucoin: startKucoinTicker,
+  coinbase: startCoinbaseTicker
+};
+
+export const DEFAULT_TICKER_EXCHANGE_IDS = Object.keys(TICKER_STREAMS);
+
+/**
+ * Starts one ticker stream covering every `{ symbol, base }` pair.
+ * `onTicker(symbol, { price, quoteVolume, ts })` gets the last price and
+ * 24h quote volume. Returns a handle with `stop()`.
+ */
+export function startTickerStream(exchangeId, options) {
+  return TICKER_STREAMS[exchangeId](options);
+}
+
+/**
+ * Weights the fresh venues of `tickers` (exchange id -> last ticker) by 24h
+ * quote volume into one index price, then reports every venue's premium or
+ * discount against it in percent. Coinbase quotes USD and the rest USDT, so
+ * `coinbasePremiumPct` is Coinbase against Binance.
+ */
+export function computePriceIndex(tickers, now = Date.now()) {
+  const venues = [];
+  let weighted = 0;
+  let totalVolume = 0;
+
+  for (const [exchangeId, ticker] of tickers) {
+    const adapter = EXCHANGE_ADAPTERS[exchangeId];
+    const stale = now - ticker.receivedAt > STALE_TICKER_MS;
+    if (!stale && ticker.price > 0 && ticker.quoteVolume > 0) {
+      weighted += ticker.price * ticker.quoteVolume;
+      totalVolume += ticker.quoteVolume;
+    }
+    venues.push({
+      exchange: adapter.name,
+      exchangeId,
+      logoUrl: adapter.logoUrl,
+      price: ticker.price,
+      quoteVolume: ticker.quoteVolume,
+      updatedAt: ticker.receivedAt,
+      stale
+    });
+  }
+
+  const index = totalVolume > 0 ? weighted / totalVolume : null;
+  for (const venue of venues) {
+    const included = !venue.stale && venue.price > 0 && venue.quoteVolume > 0;
+    venue.weight = included && totalVolume > 0 ? venue.quoteVolume / totalVolume : 0;
+    venue.premiumPct = index && venue.price > 0 ? ((venue.price - index) / index) * 100 : null;
+  }
+
+  const coinbase = tickers.get("coinbase");
+  const binance = tickers.get("binance");
+  const coinbasePremiumPct =
+    coinbase?.price > 0 && binance?.price > 0
+      ? ((coinbase.price - binance.price) / binance.price) * 100
+      : null;
+
+  return { index, venues, coinbasePremiumPct, updatedAt: now };
+}
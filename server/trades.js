@@ -0,0 +1,120 @@
+import { createUpstreamSocket } from "./upstream.js";
+import { toNumber } from "./utils.js";
+
+/** Bybit spot `publicTrade`; `S` is the taker side. */
+function startBybitTrades({ pairs, onTrade }) {
+  const socket = createUpstreamSocket({
+    name: "Bybit publicTrade",
+    url: "wss://stream.bybit.com/v5/public/spot",
+    keepAlive: { intervalMs: 20_000, message: { op: "ping" } },
+    onOpen: () =>
+      socket.send({ op: "subscribe", args: pairs.map(({ symbol }) => `publicTrade.${symbol}`) }),
+    onMessage: (text) => {
+      const message = JSON.parse(text);
+      if (!String(message?.topic).startsWith("publicTrade.") || !Array.isArray(message.data)) {
+        return;
+      }
+      for (const item of message.data) {
+        const pair = pairs.find(({ symbol }) => symbol === item.s);
+        if (pair) {
+          onTrade(pair.symbol, {
+            price: toNumber(item.p),
+            qty: toNumber(item.v),
+            ts: toNumber(item.T) || Date.now(),
+            side: item.S === "Sell" ? "sell" : "buy"
+          });
+        }
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** OKX `trades`; `side` is the taker side. */
+function startOkxTrades({ pairs, onTrade }) {
+  const instruments = new Map(pairs.map((pair) => [`${pair.base}-USDT`, pair]));
+
+  const socket = createUpstreamSocket({
+    name: "OKX trades",
+    url: "wss://ws.okx.com:8443/ws/v5/public",
+    keepAlive: { intervalMs: 25_000, message: "ping" },
+    onOpen: () =>
+      socket.send({
+        op: "subscribe",
+        args: [...instruments.keys()].map((instId) => ({ channel: "trades", instId }))
+      }),
+    onMessage: (text) => {
+      if (text === "pong") {
+        return;
+      }
+      const message = JSON.parse(text);
+      if (message?.arg?.channel !== "trades" || !Array.isArray(message.data)) {
+        return;
+      }
+      for (const item of message.data) {
+        const pair = instruments.get(item.instId);
+        if (pair) {
+          onTrade(pair.symbol, {
+            price: toNumber(item.px),
+            qty: toNumber(item.sz),
+            ts: toNumber(item.ts) || Date.now(),
+            side: item.side === "sell" ? "sell" : "buy"
+          });
+        }
+      }
+    }
+  });
+
+  socket.start();
+  return socket;
+}
+
+/** Trade streams that can stand in for Binance `@trade`. */
+export const FAILOVER_TRADE_STREAMS = {
+  bybit: startBybitTrades,
+  okx: startOkxTrades
+};
+
+/**
+ * Starts a trade stream for every `{ symbol, base }` pair.
+ * `onTrade(symbol, { price, qty, ts, side })` uses the same shape as the
+ * Binance trades. Returns a handle with `stop()`.
+ */
+export function startFailoverTradeStream(exchangeId, options) {
+  return FAILOVER_TRADE_STREAMS[exchangeId](options);
+}
+
+/**
+ * Binance USDⓈ-M `aggTrade` for the perpetual of every symbol, used for the
+ * futures CVD. `onTrade(symbol, trade, count)` gets the Binance trade shape
+ * plus the number of fills merged into the message.
+ */
+export function startFuturesTradeStream({ symbols, onTrade }) {
+  const socket = createUpstreamSocket({
+    name: "Binance futures aggTrade",
+    url: `wss://fstream.binance.com/stream?streams=${symbols
+      .map((symbol) => `${symbol.toLowerCase()}@aggTrade`)
+      .join("/")}`,
+    onMessage: (text) => {
+      const data = JSON.parse(text)?.data;
+      if (data?.e !== "aggTrade" || !symbols.includes(data.s)) {
+        return;
+      }
+      onTrade(
+        data.s,
+        {
+          price: toNumber(data.p),
+          qty: toNumber(data.q),
+          ts: toNumber(data.T) || Date.now(),
+          side: data.m ? "sell" : "buy"
+        },
+        Math.max(1, toNumber(data.l) - toNumber(data.f) + 1)
+      );
+    }
+  });
+
+  socket.start();
+  return socket;
+}
@@ -0,0 +1,241 @@
+import WebSocket from "ws";
+
+const RECONNECT_BASE_DELAY_MS = 1_000;
+const RECONNECT_MAX_DELAY_MS = 15_000;
+const LIVENESS_INTERVAL_MS = 15_000;
+
+/** Recorder every socket event and REST response is written to, if any. */
+let recorder = null;
+/** Replay or simulator that stands in for the exchanges, if any. */
+let standIn = null;
+
+export function setUpstreamRecorder(next) {
+  recorder = next;
+}
+
+export function setUpstreamStandIn(next) {
+  standIn = next;
+}
+
+/** Records an event of a socket that does not go through `createUpstreamSocket`. */
+export function recordUpstream(type, source, fields) {
+  recorder?.record(type, source, fields);
+}
+
+/**
+ * `fetch` for exchange REST APIs. While recording, the body is read so the
+ * response can be kept, and a fresh Response with the same body is
+ * returned; during a replay or simulation the stand-in answers instead.
+ */
+export async function upstreamFetch(url, options) {
+  if (standIn) {
+    return standIn.fetch(String(url));
+  }
+  const res = await fetch(url, options);
+  if (!recorder) {
+    return res;
+  }
+  const body = await res.text();
+  recorder.record("rest", String(url), { status: res.status, data: body });
+  return new Response(res.body === null || body === "" ? null : body, {
+    status: res.status,
+    statusText: res.statusText,
+    headers: res.headers
+  });
+}
+
+/**
+ * Pings `ws` every LIVENESS_INTERVAL_MS and terminates it when neither a
+ * pong nor a message arrived since the previous ping, so a connection that
+ * is open but silent goes through the normal close/reconnect path. Returns
+ * a function that stops the timer; it also stops on close.
+ */
+export function watchLiveness(ws, name) {
+  let alive = true;
+  const markAlive = () => {
+    alive = true;
+  };
+  const timer = setInterval(() => {
+    if (!alive) {
+      console.warn(`${name} WS missed a pong, reconnecting.`);
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    try {
+      ws.ping();
+    } catch (_error) {
+      // The close handler takes care of it.
+    }
+  }, LIVENESS_INTERVAL_MS);
+
+  const stop = () => {
+    clearInterval(timer);
+    ws.off("pong", markAlive);
+    ws.off("message", markAlive);
+  };
+  ws.on("pong", markAlive);
+  ws.on("message", markAlive);
+  ws.once("close", stop);
+  return stop;
+}
+
+/**
+ * WebSocket to an exchange that reconnects with exponential backoff, like
+ * the Binance sockets in index.js. `url` may be an async function for
+ * exchanges that hand out a fresh endpoint per connection. `keepAlive`
+ * sends an application-level ping on a timer for exchanges that drop quiet
+ * clients; protocol-level liveness is checked on every socket. During a
+ * replay or simulation the socket attaches to the stand-in under `name`
+ * instead.
+ */
+export function createUpstreamSocket({ name, url, onOpen, onMessage, onClose, keepAlive }) {
+  let socket = null;
+  let connecting = false;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+  let keepAliveTimer = null;
+  let stopped = false;
+  let standInOpen = false;
+
+  function clearKeepAlive() {
+    if (keepAliveTimer) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) {
+      return;
+    }
+
+    reconnectAttempt += 1;
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY_MS * 2 ** Math.max(0, reconnectAttempt - 1),
+      RECONNECT_MAX_DELAY_MS
+    );
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function send(payload) {
+    if (socket?.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    socket.send(typeof payload === "string" ? payload : JSON.stringify(payload));
+    return true;
+  }
+
+  async function connect() {
+    if (stopped || socket || connecting) {
+      return;
+    }
+    if (standIn) {
+      standIn.attach(name, {
+        onOpen: () => {
+          standInOpen = true;
+          onOpen?.();
+        },
+        onMessage,
+        onClose: () => {
+          standInOpen = false;
+          onClose?.();
+        }
+      });
+      return;
+    }
+
+    connecting = true;
+    let target;
+    try {
+      target = typeof url === "function" ? await url() : url;
+    } catch (error) {
+      console.error(`Failed to resolve ${name} WS endpoint:`, error.message);
+      connecting = false;
+      onClose?.();
+      scheduleReconnect();
+      return;
+    }
+    connecting = false;
+    if (stopped) {
+      return;
+    }
+
+    const ws = new WebSocket(target);
+    socket = ws;
+
+    ws.on("open", () => {
+      recorder?.record("open", name);
+      reconnectAttempt = 0;
+      watchLiveness(ws, name);
+      if (keepAlive) {
+        keepAliveTimer = setInterval(() => {
+          send(typeof keepAlive.message === "function" ? keepAlive.message() : keepAlive.message);
+        }, keepAlive.intervalMs);
+      }
+      onOpen?.();
+    });
+
+    ws.on("message", (rawData) => {
+      const text = rawData.toString();
+      recorder?.record("message", name, { data: text });
+      try {
+        onMessage(text);
+      } catch (error) {
+        console.error(`Failed to handle ${name} WS message:`, error.message);
+      }
+    });
+
+    ws.on("error", (error) => {
+      console.error(`${name} WS error:`, error.message);
+    });
+
+    ws.on("close", () => {
+      recorder?.record("close", name);
+      clearKeepAlive();
+      if (socket === ws) {
+        socket = null;
+      }
+      onClose?.();
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    start: connect,
+    send,
+
+    isOpen() {
+      return standIn ? standInOpen : socket?.readyState === WebSocket.OPEN;
+    },
+
+    /** Drops the current connection; the close handler schedules a new one. */
+    reconnect() {
+      if (socket) {
+        socket.terminate();
+      }
+    },
+
+    stop() {
+      stopped = true;
+      standIn?.detach(name);
+      clearKeepAlive();
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      if (socket) {
+        try {
+          socket.terminate();
+        } catch (_error) {
+          // no-op
+        }
+        socket = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,4 @@
+export function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
@@ -0,0 +1,161 @@
+import { MINUTE_MS, bucketStart } from "./candles.js";
+import { niceStep } from "./heatmap.js";
+
+// Trades are kept per minute at this price resolution, in basis points.
+const TRADE_TICK_BPS = 1;
+/** Share of the volume the value area holds. */
+const VALUE_AREA_SHARE = 0.7;
+
+function roundPrice(value) {
+  return Number(value.toPrecision(12));
+}
+
+/**
+ * Taker volume by price of every minute, built from trades and kept for
+ * `retentionMs`. `coveredFrom` is the first minute whose trades were all
+ * seen; the minute the first trade landed in is only partly covered.
+ */
+export function createTradeProfile(retentionMs) {
+  /** @type {Map<number, Map<number, {buyVolume:number,sellVolume:number}>>} */
+  const minutes = new Map();
+  let coveredFrom = null;
+
+  return {
+    get coveredFrom() {
+      return coveredFrom;
+    },
+
+    add({ price, qty, ts, side }) {
+      const minute = bucketStart(ts, MINUTE_MS);
+      if (coveredFrom === null) {
+        coveredFrom = minute + MINUTE_MS;
+      }
+      let levels = minutes.get(minute);
+      if (!levels) {
+        levels = new Map();
+        minutes.set(minute, levels);
+        for (const key of minutes.keys()) {
+          if (key < minute - retentionMs) {
+            minutes.delete(key);
+          }
+        }
+        coveredFrom = Math.max(coveredFrom, minute - retentionMs);
+      }
+
+      const tick = niceStep((price * TRADE_TICK_BPS) / 10_000);
+      const levelPrice = roundPrice(Math.floor(price / tick) * tick);
+      const level = levels.get(levelPrice) ?? { buyVolume: 0, sellVolume: 0 };
+      level[side === "sell" ? "sellVolume" : "buyVolume"] += qty;
+      levels.set(levelPrice, level);
+    },
+
+    /** Calls `visit(price, level)` for every price traded in `[from, to)`. */
+    forEachLevel(from, to, visit) {
+      for (const [minute, levels] of minutes) {
+        if (minute >= from && minute < to) {
+          for (const [price, level] of levels) {
+            visit(price, level);
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Expands from the point of control towards the heavier neighbour until
+ * VALUE_AREA_SHARE of the volume is inside. Returns bin indexes.
+ */
+function findValueArea(volumes) {
+  const total = volumes.reduce((sum, volume) => sum + volume, 0);
+  const poc = volumes.indexOf(Math.max(...volumes));
+  let low = poc;
+  let high = poc;
+  let inside = volumes[poc];
+  while (inside < total * VALUE_AREA_SHARE && (low > 0 || high < volumes.length - 1)) {
+    const below = low > 0 ? volumes[low - 1] : -1;
+    const above = high < volumes.length - 1 ? volumes[high + 1] : -1;
+    if (above >= below) {
+      high += 1;
+      inside += above;
+    } else {
+      low -= 1;
+      inside += below;
+    }
+  }
+  return { poc, low, high };
+}
+
+/**
+ * Volume by price over the candles starting in `[from, to)`, in about
+ * `rows` bins. Time the trade profile fully covers comes from trades at
+ * their price; older candles are spread over their high–low range in
+ * proportion to how much of it each bin holds.
+ *
+ * Returns `{ binSize, rows, totalVolume, poc, valueAreaLow, valueAreaHigh }`
+ * with `rows` as `{ price, volume, buyVolume, sellVolume }` from the lowest
+ * bin up, `poc` the low price of the point-of-control bin and the value
+ * area as price bounds; null when nothing traded.
+ */
+export function computeVolumeProfile({ candles, intervalMs, trades, from, to, rows }) {
+  // Trades take over at the first bucket boundary (of the interval and of
+  // a minute) after the coverage starts, so no bucket is counted twice.
+  const boundaryMs = Math.max(intervalMs, MINUTE_MS);
+  const cutoff =
+    trades.coveredFrom === null ? Infinity : Math.ceil(trades.coveredFrom / boundaryMs) * boundaryMs;
+
+  /** @type {Array<{low:number,high:number,buyVolume:number,sellVolume:number}>} */
+  const parts = candles
+    .filter((candle) => candle.startTime >= from && candle.startTime < Math.min(to, cutoff))
+    .map((candle) => ({
+      low: candle.low,
+      high: candle.high,
+      buyVolume: candle.buyVolume || 0,
+      sellVolume: candle.sellVolume || 0
+    }));
+  trades.forEachLevel(Math.max(from, cutoff), to, (price, level) => {
+    parts.push({ low: price, high: price, ...level });
+  });
+
+  const filled = parts.filter((part) => part.low > 0 && part.buyVolume + part.sellVolume > 0);
+  if (filled.length === 0) {
+    return null;
+  }
+  const minPrice = Math.min(...filled.map((part) => part.low));
+  const maxPrice = Math.max(...filled.map((part) => part.high));
+  const binSize = niceStep((maxPrice - minPrice) / rows || minPrice / 10_000);
+  const base = roundPrice(Math.floor(minPrice / binSize) * binSize);
+  const count = Math.floor((maxPrice - base) / binSize) + 1;
+  const buy = new Array(count).fill(0);
+  const sell = new Array(count).fill(0);
+
+  for (const part of filled) {
+    const first = Math.min(count - 1, Math.floor((part.low - base) / binSize));
+    const last = Math.min(count - 1, Math.floor((part.high - base) / binSize));
+    const range = part.high - part.low;
+    for (let idx = first; idx <= last; idx += 1) {
+      const binLow = base + idx * binSize;
+      const share =
+        range > 0 ? (Math.min(part.high, binLow + binSize) - Math.max(part.low, binLow)) / range : 1;
+      buy[idx] += part.buyVolume * share;
+      sell[idx] += part.sellVolume * share;
+    }
+  }
+
+  const volumes = buy.map((value, idx) => value + sell[idx]);
+  const area = findValueArea(volumes);
+  const priceAt = (idx) => roundPrice(base + idx * binSize);
+  return {
+    binSize,
+    rows: volumes.map((volume, idx) => ({
+      price: priceAt(idx),
+      volume,
+      buyVolume: buy[idx],
+      sellVolume: sell[idx]
+    })),
+    totalVolume: volumes.reduce((sum, volume) => sum + volume, 0),
+    poc: priceAt(area.poc),
+    valueAreaLow: priceAt(area.low),
+    valueAreaHigh: priceAt(area.high + 1)
+  };
+}
@@ -0,0 +1,175 @@
+import { toNumber } from "./utils.js";
+
+/**
+ * Follows resting levels across order book refreshes. Every level keeps its
+ * first/last seen time and how often its size changed; levels worth at least
+ * `minNotional` are walls and produce `wallAdded`, `wallPulled` and
+ * `wallFilled` events. A wall that disappears without trades reaching its
+ * price was pulled, and a pull within `spoofDistancePct` of the last price
+ * is flagged as a likely spoof.
+ */
+export function createWallTracker({ minNotional, spoofDistancePct, maxRecent }) {
+  /** @type {Map<string, {id:string,exchange:string,exchangeId:string,logoUrl:string,side:"bid"|"ask",price:number,size:number,peakSize:number,firstSeen:number,lastSeen:number,sizeChanges:number,isWall:boolean}>} */
+  const levels = new Map();
+  /** @type {Array<object>} */
+  let recent = [];
+  let lastPrice = null;
+  let tradeLow = Infinity;
+  let tradeHigh = -Infinity;
+
+  function levelId(exchangeId, side, price) {
+    return `${exchangeId}|${side}|${price}`;
+  }
+
+  function toWall(entry, status, extra = {}) {
+    return {
+      id: entry.id,
+      exchange: entry.exchange,
+      exchangeId: entry.exchangeId,
+      logoUrl: entry.logoUrl,
+      side: entry.side,
+      price: entry.price,
+      size: entry.size,
+      peakSize: entry.peakSize,
+      notional: entry.price * entry.size,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+      ageMs: entry.lastSeen - entry.firstSeen,
+      sizeChanges: entry.sizeChanges,
+      status,
+      ...extra
+    };
+  }
+
+  function record(events, type, wall) {
+    events.push({ type, wall });
+    recent = [wall, ...recent].slice(0, maxRecent);
+  }
+
+  /** True when trades since the last update traded at or through the level. */
+  function wasReached(entry) {
+    return entry.side === "bid" ? tradeLow <= entry.price : tradeHigh >= entry.price;
+  }
+
+  /** True when the level is simply deeper than the part of the book we look at. */
+  function isOutOfView(entry, bounds) {
+    if (!bounds) {
+      return true;
+    }
+    return entry.side === "bid" ? entry.price < bounds.deepest : entry.price > bounds.deepest;
+  }
+
+  function observeSide(events, seen, adapter, side, rawLevels, now) {
+    let deepest = null;
+    for (const level of rawLevels) {
+      const price = toNumber(level[0]);
+      const size = toNumber(level[1]);
+      if (price <= 0 || size <= 0) {
+        continue;
+      }
+      deepest = price;
+
+      const id = levelId(adapter.id, side, price);
+      seen.add(id);
+      let entry = levels.get(id);
+      if (!entry) {
+        entry = {
+          id,
+          exchange: adapter.name,
+          exchangeId: adapter.id,
+          logoUrl: adapter.logoUrl,
+          side,
+          price,
+          size,
+          peakSize: size,
+          firstSeen: now,
+          lastSeen: now,
+          sizeChanges: 0,
+          isWall: false
+        };
+        levels.set(id, entry);
+      } else if (entry.size !== size) {
+        entry.size = size;
+        entry.peakSize = Math.max(entry.peakSize, size);
+        entry.sizeChanges += 1;
+      }
+      entry.lastSeen = now;
+
+      if (!entry.isWall && price * size >= minNotional) {
+        entry.isWall = true;
+        record(events, "wallAdded", toWall(entry, "active"));
+      }
+    }
+    return deepest === null ? null : { deepest };
+  }
+
+  return {
+    observeTrade(price) {
+      lastPrice = price;
+      tradeLow = Math.min(tradeLow, price);
+      tradeHigh = Math.max(tradeHigh, price);
+    },
+
+    /**
+     * Diffs the current books against the previous update. `books` holds
+     * the healthy exchanges only; levels of exchanges missing from it are
+     * forgotten without an event since their disappearance says nothing.
+     * Returns the wall events in the order they happened.
+     */
+    update(books, now = Date.now()) {
+      const events = [];
+      const seen = new Set();
+      const bounds = new Map();
+
+      for (const { adapter, bids, asks } of books) {
+        bounds.set(`${adapter.id}|bid`, observeSide(events, seen, adapter, "bid", bids, now));
+        bounds.set(`${adapter.id}|ask`, observeSide(events, seen, adapter, "ask", asks, now));
+      }
+
+      for (const [id, entry] of levels) {
+        if (seen.has(id)) {
+          continue;
+        }
+        levels.delete(id);
+
+        const sideKey = `${entry.exchangeId}|${entry.side}`;
+        if (!entry.isWall || !bounds.has(sideKey)) {
+          continue;
+        }
+        if (wasReached(entry)) {
+          record(events, "wallFilled", toWall(entry, "filled"));
+        } else if (!isOutOfView(entry, bounds.get(sideKey))) {
+          const distancePct =
+            lastPrice > 0 ? (Math.abs(entry.price - lastPrice) / lastPrice) * 100 : null;
+          record(
+            events,
+            "wallPulled",
+            toWall(entry, "pulled", {
+              distancePct,
+              spoof: distancePct !== null && distancePct <= spoofDistancePct
+            })
+          );
+        }
+      }
+
+      tradeLow = lastPrice ?? Infinity;
+      tradeHigh = lastPrice ?? -Infinity;
+      return events;
+    },
+
+    firstSeen(exchangeId, side, price) {
+      return levels.get(levelId(exchangeId, side, toNumber(price)))?.firstSeen ?? null;
+    },
+
+    active() {
+      return [...levels.values()]
+        .filter((entry) => entry.isWall)
+        .map((entry) => toWall(entry, "active"))
+        .sort((a, b) => b.notional - a.notional);
+    },
+
+    recent() {
+      return recent;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Turns the trade stream into whale prints. Consecutive trades on the same
+ * side, each within `mergeWindowMs` of the previous one, are merged into one
+ * print; a print is kept when it reaches `minNotional` (quote asset), so one
+ * threshold works for every pair.
+ */
+export function createWhaleDetector({ minNotional, mergeWindowMs }) {
+  /** @type {{side:string,startTs:number,lastTs:number,firstPrice:number,lastPrice:number,size:number,notional:number,trades:number}|null} */
+  let pending = null;
+
+  function close() {
+    const cluster = pending;
+    pending = null;
+    if (!cluster || cluster.notional < minNotional) {
+      return null;
+    }
+    return {
+      side: cluster.side,
+      price: cluster.notional / cluster.size,
+      firstPrice: cluster.firstPrice,
+      lastPrice: cluster.lastPrice,
+      size: cluster.size,
+      notional: cluster.notional,
+      trades: cluster.trades,
+      startTs: cluster.startTs,
+      ts: cluster.lastTs
+    };
+  }
+
+  return {
+    /**
+     * Adds a trade (`count` > 1 for aggregated trades) and returns the
+     * previous print when this trade ended it, otherwise null.
+     */
+    apply(trade, count = 1) {
+      let print = null;
+      if (pending && (pending.side !== trade.side || trade.ts - pending.lastTs > mergeWindowMs)) {
+        print = close();
+      }
+
+      if (!pending) {
+        pending = {
+          side: trade.side,
+          startTs: trade.ts,
+          lastTs: trade.ts,
+          firstPrice: trade.price,
+          lastPrice: trade.price,
+          size: 0,
+          notional: 0,
+          trades: 0
+        };
+      }
+      pending.lastTs = trade.ts;
+      pending.lastPrice = trade.price;
+      pending.size += trade.qty;
+      pending.notional += trade.price * trade.qty;
+      pending.trades += count;
+      return print;
+    },
+
+    /** Ends the open cluster once no trade has extended it for the merge window. */
+    expire(now = Date.now()) {
+      if (pending && now - pending.lastTs > mergeWindowMs) {
+        return close();
+      }
+      return null;
+    }
+  };
+}